@@ -0,0 +1,94 @@
+/**
+ * Run many autopilot games headlessly and print score statistics.
+ *
+ * Usage: node scripts/simulate.js [--games=1000] [--seed=1] [--max-ticks=600000] [--difficulty=normal] [--mode=classic]
+ *                           [--autopilot=casual] [--config="speed=0.012&boxSize=4"]
+ */
+import { GameLogic } from '../src/game/game_logic.js';
+import { EventSystem, EVENTS } from '../src/core/event_system.js';
+import { GAME_CONFIG, GAME_MODES } from '../src/config/game_config.js';
+import { DEFAULT_DIFFICULTY } from '../src/config/difficulty_presets.js';
+import { DEFAULT_AUTOPILOT } from '../src/config/autopilot_presets.js';
+import { createAutopilot } from '../src/game/autopilot.js';
+import { configService } from '../src/core/config_service.js';
+
+/**
+ * Parse `--name=value` command line flags
+ * @param {string[]} argv 
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { games: 1000, seed: 1, maxTicks: 600000, difficulty: DEFAULT_DIFFICULTY, mode: GAME_MODES.CLASSIC, autopilot: DEFAULT_AUTOPILOT, config: '' };
+  
+  argv.forEach(arg => {
+    const match = /^--([\w-]+)=(.+)$/.exec(arg);
+    if (!match) return;
+    
+    const key = match[1].replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    if (key in options) {
+      options[key] = typeof options[key] === 'number' ? Number(match[2]) : match[2];
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Play one autopilot game to its first miss
+ * @param {number} seed 
+ * @param {number} maxTicks 
+ * @param {string} difficulty - Difficulty preset name
+ * @param {string} mode - One of GAME_MODES
+ * @param {string} autopilot - Robot skill preset name
+ * @returns {Object} { score, perfects, ticks }
+ */
+function simulateGame(seed, maxTicks, difficulty, mode, autopilot) {
+  // A throwing listener is a bug in the simulation; stop instead of skewing the statistics
+  const events = new EventSystem({ onError: error => { throw error; } });
+  const gameLogic = new GameLogic(events);
+  gameLogic.setDifficulty(difficulty);
+  gameLogic.setMode(mode);
+  gameLogic.setAutopilot(createAutopilot(autopilot));
+  
+  let perfects = 0;
+  events.on(EVENTS.PERFECT_PLACEMENT, () => perfects++);
+  
+  gameLogic.startAttractMode(seed);
+  while (!gameLogic.hasGameEnded() && gameLogic.getTick() < maxTicks) {
+    gameLogic.update(GAME_CONFIG.SIMULATION_STEP_MS);
+  }
+  
+  return { score: gameLogic.getScore(), perfects, ticks: gameLogic.getTick() };
+}
+
+/**
+ * Get a percentile from a sorted list
+ * @param {number[]} sorted 
+ * @param {number} p - Percentile in [0, 1]
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+const options = parseArgs(process.argv.slice(2));
+configService.load(options.config);
+if (configService.getErrors().length > 0) {
+  process.exit(1);
+}
+const results = [];
+
+for (let i = 0; i < options.games; i++) {
+  results.push(simulateGame(options.seed + i, options.maxTicks, options.difficulty, options.mode, options.autopilot));
+}
+
+const scores = results.map(result => result.score).sort((a, b) => a - b);
+const totalScore = scores.reduce((sum, score) => sum + score, 0);
+const totalPerfects = results.reduce((sum, result) => sum + result.perfects, 0);
+
+console.log(`Games:        ${options.games} (seeds ${options.seed}..${options.seed + options.games - 1}, ${options.difficulty}, ${options.mode}, ${options.autopilot})`);
+console.log(`Mean score:   ${(totalScore / scores.length).toFixed(2)}`);
+console.log(`Median score: ${percentile(scores, 0.5)}`);
+console.log(`P90 score:    ${percentile(scores, 0.9)}`);
+console.log(`Max score:    ${scores[scores.length - 1]}`);
+console.log(`Perfect rate: ${(totalPerfects / Math.max(1, totalScore) * 100).toFixed(1)}%`);
@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { GAME_CONFIG, DIRECTIONS } from '../config/game_config.js';
+import { EVENTS } from '../core/event_system.js';
+import { isMotionReduced } from '../core/motion.js';
+
+const RING_POOL_SIZE = 4;
+const FLASH_COLOR = new THREE.Color(0xffffff);
+
+/**
+ * Visual feedback layered on the rendered stack: sparks at cut edges, rings on
+ * perfect drops, a flash on every placed block and camera shake on a miss.
+ * Effects age with simulation steps, so pausing and replay speed apply to them.
+ * Purely cosmetic randomness uses Math.random to keep the simulation's seed untouched.
+ */
+export class EffectsAdapter {
+  /**
+   * @param {RenderView} view - View the effects are drawn in
+   * @param {RenderAdapter} renderAdapter - Source of block meshes to flash and colour particles
+   * @param {GameLogic} gameLogic - Simulation to decorate
+   */
+  constructor(view, renderAdapter, gameLogic) {
+    this.view = view;
+    this.renderAdapter = renderAdapter;
+    this.gameLogic = gameLogic;
+
+    this.particles = null;
+    this.particleMesh = null;
+    this.nextParticle = 0;
+    this.rings = [];
+    this.flashes = new Map();
+    this.shakeTime = 0;
+    this.matrix = new THREE.Matrix4();
+
+    this.createParticles();
+    this.createRings();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup simulation event listeners
+   */
+  setupEventListeners() {
+    const events = this.gameLogic.events;
+    events.on(EVENTS.BLOCK_CUT, this.handleCut.bind(this));
+    events.on(EVENTS.PERFECT_PLACEMENT, this.handlePerfect.bind(this));
+    events.on(EVENTS.BLOCK_MISSED, this.handleMiss.bind(this));
+    events.on(EVENTS.STACK_CLEARED, () => this.clear());
+  }
+
+  /**
+   * Build the particle pool: one instanced mesh, one draw call for every spark
+   */
+  createParticles() {
+    const count = GAME_CONFIG.EFFECTS_MAX_PARTICLES;
+    this.particles = {
+      position: new Float32Array(count * 3),
+      velocity: new Float32Array(count * 3),
+      age: new Float32Array(count),
+      life: new Float32Array(count)
+    };
+
+    const size = GAME_CONFIG.EFFECTS_PARTICLE_SIZE;
+    const geometry = new THREE.BoxGeometry(size, size, size);
+    const material = new THREE.MeshBasicMaterial();
+    this.particleMesh = new THREE.InstancedMesh(geometry, material, count);
+    this.particleMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    // Instances roam the whole scene; the geometry's bounds don't describe them
+    this.particleMesh.frustumCulled = false;
+
+    this.matrix.makeScale(0, 0, 0);
+    for (let i = 0; i < count; i++) {
+      this.particleMesh.setMatrixAt(i, this.matrix);
+      this.particleMesh.setColorAt(i, FLASH_COLOR);
+    }
+
+    this.view.addToScene(this.particleMesh);
+  }
+
+  /**
+   * Build the pool of flat outlines used for perfect-placement rings
+   */
+  createRings() {
+    // Four segments starting at 45° make a square whose outer edge spans one unit
+    const geometry = new THREE.RingGeometry(0.6, Math.SQRT1_2, 4, 1, Math.PI / 4);
+    geometry.rotateX(-Math.PI / 2);
+
+    for (let i = 0; i < RING_POOL_SIZE; i++) {
+      const material = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.visible = false;
+      this.view.addToScene(mesh);
+      this.rings.push({ mesh, age: 0, width: 1, depth: 1 });
+    }
+  }
+
+  /**
+   * Check if the player or their system asked for calmer visuals
+   * @returns {boolean}
+   */
+  isReduced() {
+    return isMotionReduced();
+  }
+
+  /**
+   * Sparks along the edge where the block was sliced, thrown towards the overhang
+   * @param {Object} data - { block, overhang, overhangSize }
+   */
+  handleCut({ block, overhang }) {
+    this.flash(block);
+    if (this.isReduced()) return;
+
+    const direction = block.direction;
+    const across = direction === DIRECTIONS.X ? DIRECTIONS.Z : DIRECTIONS.X;
+    const side = Math.sign(overhang.position[direction] - block.position[direction]) || 1;
+    const edge = block.position[direction] + side * block.getSize(direction) / 2;
+    const length = block.getSize(across);
+    const mesh = this.renderAdapter.getMesh(block);
+    const accent = this.renderAdapter.theme.accent;
+    const color = mesh ? mesh.material.color : accent;
+
+    for (let i = 0; i < GAME_CONFIG.EFFECTS_CUT_PARTICLES; i++) {
+      const position = { x: 0, y: block.position.y + GAME_CONFIG.BOX_HEIGHT / 2, z: 0 };
+      position[direction] = edge;
+      position[across] = block.position[across] + (Math.random() - 0.5) * length;
+
+      const velocity = { x: 0, y: 0.002 + Math.random() * 0.004, z: 0 };
+      velocity[direction] = side * (0.001 + Math.random() * 0.003);
+      velocity[across] = (Math.random() - 0.5) * 0.002;
+
+      // Alternate sparks in the theme's accent with dust in the block's own colour
+      this.spawnParticle(position, velocity, i % 2 === 0 ? accent : color);
+    }
+  }
+
+  /**
+   * Expanding outline around a perfectly placed block
+   * @param {Object} data - { block, combo, grew }
+   */
+  handlePerfect({ block }) {
+    this.flash(block);
+    if (this.isReduced()) return;
+
+    const ring = this.rings.find(candidate => !candidate.mesh.visible) ||
+      this.rings.reduce((oldest, candidate) => (candidate.age > oldest.age ? candidate : oldest));
+    ring.age = 0;
+    ring.width = block.width;
+    ring.depth = block.depth;
+    ring.mesh.material.color.copy(this.renderAdapter.theme.accent);
+    ring.mesh.position.set(block.position.x, block.position.y + GAME_CONFIG.BOX_HEIGHT / 2, block.position.z);
+    ring.mesh.visible = true;
+    this.updateRing(ring);
+  }
+
+  /**
+   * Shake the camera when a block misses the stack entirely
+   */
+  handleMiss() {
+    if (this.isReduced()) return;
+
+    this.shakeTime = GAME_CONFIG.EFFECTS_SHAKE_DURATION;
+  }
+
+  /**
+   * Light up a block briefly
+   * @param {Block} block
+   */
+  flash(block) {
+    const mesh = this.renderAdapter.getMesh(block);
+    if (!mesh || !mesh.material.emissive) return;
+
+    this.flashes.set(mesh, GAME_CONFIG.EFFECTS_FLASH_DURATION);
+    mesh.material.emissive.copy(FLASH_COLOR).multiplyScalar(this.isReduced() ? 0.25 : 0.6);
+  }
+
+  /**
+   * Claim the oldest particle slot
+   * @param {Object} position - { x, y, z }
+   * @param {Object} velocity - { x, y, z } in units per millisecond
+   * @param {THREE.Color} color
+   */
+  spawnParticle(position, velocity, color) {
+    const index = this.nextParticle;
+    this.nextParticle = (index + 1) % GAME_CONFIG.EFFECTS_MAX_PARTICLES;
+
+    const { position: p, velocity: v, age, life } = this.particles;
+    p[index * 3] = position.x;
+    p[index * 3 + 1] = position.y;
+    p[index * 3 + 2] = position.z;
+    v[index * 3] = velocity.x;
+    v[index * 3 + 1] = velocity.y;
+    v[index * 3 + 2] = velocity.z;
+    age[index] = 0;
+    life[index] = GAME_CONFIG.EFFECTS_PARTICLE_LIFETIME * (0.6 + Math.random() * 0.4);
+
+    this.particleMesh.setColorAt(index, color);
+    this.particleMesh.instanceColor.needsUpdate = true;
+  }
+
+  /**
+   * Advance every effect; called once per simulation step
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    this.updateParticles(deltaTime);
+
+    this.rings.forEach(ring => {
+      if (!ring.mesh.visible) return;
+      ring.age += deltaTime;
+      this.updateRing(ring);
+    });
+
+    this.flashes.forEach((remaining, mesh) => {
+      const left = remaining - deltaTime;
+      if (left <= 0) {
+        mesh.material.emissive.setRGB(0, 0, 0);
+        this.flashes.delete(mesh);
+        return;
+      }
+      mesh.material.emissive.multiplyScalar(left / remaining);
+      this.flashes.set(mesh, left);
+    });
+
+    if (this.shakeTime > 0) {
+      this.shakeTime = Math.max(this.shakeTime - deltaTime, 0);
+      const strength = GAME_CONFIG.EFFECTS_SHAKE_STRENGTH * (this.shakeTime / GAME_CONFIG.EFFECTS_SHAKE_DURATION);
+      this.view.setCameraShake(
+        (Math.random() * 2 - 1) * strength,
+        (Math.random() * 2 - 1) * strength
+      );
+    }
+  }
+
+  /**
+   * Move live particles and shrink them out as they age
+   * @param {number} deltaTime
+   */
+  updateParticles(deltaTime) {
+    const { position: p, velocity: v, age, life } = this.particles;
+    let isDirty = false;
+
+    for (let i = 0; i < GAME_CONFIG.EFFECTS_MAX_PARTICLES; i++) {
+      if (life[i] === 0) continue;
+
+      age[i] += deltaTime;
+      isDirty = true;
+      if (age[i] >= life[i]) {
+        life[i] = 0;
+        this.matrix.makeScale(0, 0, 0);
+        this.particleMesh.setMatrixAt(i, this.matrix);
+        continue;
+      }
+
+      v[i * 3 + 1] -= GAME_CONFIG.EFFECTS_PARTICLE_GRAVITY * deltaTime;
+      p[i * 3] += v[i * 3] * deltaTime;
+      p[i * 3 + 1] += v[i * 3 + 1] * deltaTime;
+      p[i * 3 + 2] += v[i * 3 + 2] * deltaTime;
+
+      const scale = 1 - age[i] / life[i];
+      this.matrix.makeScale(scale, scale, scale);
+      this.matrix.setPosition(p[i * 3], p[i * 3 + 1], p[i * 3 + 2]);
+      this.particleMesh.setMatrixAt(i, this.matrix);
+    }
+
+    if (isDirty) {
+      this.particleMesh.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Size and fade a ring for its age, hiding it when done
+   * @param {Object} ring
+   */
+  updateRing(ring) {
+    const progress = ring.age / GAME_CONFIG.EFFECTS_RING_DURATION;
+    if (progress >= 1) {
+      ring.mesh.visible = false;
+      return;
+    }
+
+    const growth = 1 + GAME_CONFIG.EFFECTS_RING_GROWTH * progress;
+    ring.mesh.scale.set(ring.width * growth, 1, ring.depth * growth);
+    ring.mesh.material.opacity = 1 - progress;
+  }
+
+  /**
+   * Stop every running effect
+   */
+  clear() {
+    this.particles.life.fill(0);
+    this.matrix.makeScale(0, 0, 0);
+    for (let i = 0; i < GAME_CONFIG.EFFECTS_MAX_PARTICLES; i++) {
+      this.particleMesh.setMatrixAt(i, this.matrix);
+    }
+    this.particleMesh.instanceMatrix.needsUpdate = true;
+
+    this.rings.forEach(ring => { ring.mesh.visible = false; });
+    this.flashes.clear();
+    this.shakeTime = 0;
+    this.view.setCameraShake(0, 0);
+  }
+
+  /**
+   * Remove the particle and ring pools from the scene and free them
+   */
+  dispose() {
+    this.flashes.clear();
+    this.view.removeFromScene(this.particleMesh);
+    this.particleMesh.geometry.dispose();
+    this.particleMesh.material.dispose();
+    this.particleMesh.dispose();
+
+    // Rings share one geometry
+    this.rings.forEach(({ mesh }) => {
+      this.view.removeFromScene(mesh);
+      mesh.material.dispose();
+    });
+    if (this.rings.length > 0) {
+      this.rings[0].mesh.geometry.dispose();
+    }
+    this.rings = [];
+  }
+}
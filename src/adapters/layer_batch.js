@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { GAME_CONFIG } from '../config/game_config.js';
+
+// Instance colours multiply the material's, so the shared material stays white
+const WHITE = new THREE.Color(0xffffff);
+
+const matrix = new THREE.Matrix4();
+const position = new THREE.Vector3();
+const rotation = new THREE.Quaternion();
+const scale = new THREE.Vector3();
+const vertex = new THREE.Vector3();
+
+/**
+ * Draws settled stack layers as instances of one shared unit box, a fixed
+ * number of layers per InstancedMesh. A whole tower takes a handful of draw
+ * calls, and chunks far below the top aren't drawn at all.
+ */
+export class LayerBatch {
+  /**
+   * @param {RenderView} view - View the chunks are drawn in
+   * @param {THREE.BufferGeometry} geometry - Unit box shared with the adapter's live meshes
+   * @param {THREE.BufferGeometry} outlineGeometry - Edges of the unit box
+   * @param {THREE.Material} outlineMaterial - Line material shared with the live meshes' outlines
+   */
+  constructor(view, geometry, outlineGeometry, outlineMaterial) {
+    this.view = view;
+    this.geometry = geometry;
+    this.outlineVertices = outlineGeometry.getAttribute('position');
+    this.outlineMaterial = outlineMaterial;
+    this.theme = null;
+    this.material = null;
+    // Chunks are kept after a clear and refilled, so restarts allocate nothing
+    this.chunks = [];
+    this.activeChunks = 0;
+  }
+
+  /**
+   * Switch theme, recolouring every settled layer
+   * @param {Theme} theme
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    if (this.material) {
+      this.material.dispose();
+    }
+    this.material = theme.createMaterial(WHITE);
+
+    this.chunks.forEach(chunk => {
+      chunk.mesh.material = this.material;
+      chunk.blocks.forEach((block, index) => {
+        chunk.mesh.setColorAt(index, theme.getBlockColor(block.stackIndex));
+      });
+      if (chunk.mesh.instanceColor) {
+        chunk.mesh.instanceColor.needsUpdate = true;
+      }
+    });
+  }
+
+  /**
+   * Create an empty chunk and add it to the scene. Lines can't be instanced,
+   * so a chunk's outlines are one line buffer holding every layer's edges.
+   * @returns {Object} { mesh, outline, blocks }
+   */
+  createChunk() {
+    const mesh = new THREE.InstancedMesh(this.geometry, this.material, GAME_CONFIG.RENDER_BATCH_SIZE);
+    mesh.count = 0;
+    mesh.visible = false;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    const outlineGeometry = new THREE.BufferGeometry();
+    const positions = new Float32Array(GAME_CONFIG.RENDER_BATCH_SIZE * this.outlineVertices.count * 3);
+    outlineGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    outlineGeometry.setDrawRange(0, 0);
+    const outline = new THREE.LineSegments(outlineGeometry, this.outlineMaterial);
+    outline.visible = false;
+
+    const chunk = { mesh, outline, blocks: [] };
+    this.chunks.push(chunk);
+    this.view.addToScene(mesh);
+    this.view.addToScene(outline);
+    return chunk;
+  }
+
+  /**
+   * Take over drawing a layer that will no longer move or change size
+   * @param {Block} block
+   */
+  add(block) {
+    let chunk = this.chunks[this.activeChunks - 1];
+    if (!chunk || chunk.blocks.length >= GAME_CONFIG.RENDER_BATCH_SIZE) {
+      chunk = this.chunks[this.activeChunks] || this.createChunk();
+      this.activeChunks++;
+    }
+
+    const index = chunk.blocks.length;
+    position.set(block.position.x, block.position.y, block.position.z);
+    scale.set(block.width, 1, block.depth);
+    chunk.mesh.setMatrixAt(index, matrix.compose(position, rotation, scale));
+    chunk.mesh.setColorAt(index, this.theme.getBlockColor(block.stackIndex));
+    chunk.blocks.push(block);
+    this.addOutline(chunk, index);
+
+    chunk.mesh.count = chunk.blocks.length;
+    chunk.mesh.instanceMatrix.needsUpdate = true;
+    chunk.mesh.instanceColor.needsUpdate = true;
+    // Refit the bounds the renderer frustum-culls the chunk by
+    chunk.mesh.computeBoundingSphere();
+    chunk.mesh.visible = true;
+  }
+
+  /**
+   * Write a layer's edges, placed by the matrix just composed, into its chunk's line buffer
+   * @param {Object} chunk
+   * @param {number} index - Layer's slot in the chunk
+   */
+  addOutline(chunk, index) {
+    const count = this.outlineVertices.count;
+    const geometry = chunk.outline.geometry;
+    const positions = geometry.getAttribute('position');
+
+    for (let i = 0; i < count; i++) {
+      vertex.fromBufferAttribute(this.outlineVertices, i).applyMatrix4(matrix);
+      positions.setXYZ(index * count + i, vertex.x, vertex.y, vertex.z);
+    }
+
+    positions.needsUpdate = true;
+    geometry.setDrawRange(0, (index + 1) * count);
+    geometry.computeBoundingSphere();
+    chunk.outline.visible = true;
+  }
+
+  /**
+   * Hide chunks whose highest layer is far below the top of the stack
+   * @param {number} topIndex - Stack index of the top layer
+   */
+  cull(topIndex) {
+    const lowestVisible = topIndex - GAME_CONFIG.RENDER_CULL_LAYERS;
+    for (let index = 0; index < this.activeChunks; index++) {
+      const { mesh, outline, blocks } = this.chunks[index];
+      mesh.visible = blocks[blocks.length - 1].stackIndex >= lowestVisible;
+      outline.visible = mesh.visible;
+    }
+  }
+
+  /**
+   * Forget every settled layer, keeping the chunks for reuse
+   */
+  clear() {
+    this.chunks.forEach(chunk => {
+      chunk.blocks = [];
+      chunk.mesh.count = 0;
+      chunk.mesh.visible = false;
+      chunk.outline.geometry.setDrawRange(0, 0);
+      chunk.outline.visible = false;
+    });
+    this.activeChunks = 0;
+  }
+
+  /**
+   * Remove the chunks from the scene and free them
+   */
+  dispose() {
+    this.chunks.forEach(({ mesh, outline }) => {
+      this.view.removeFromScene(mesh);
+      this.view.removeFromScene(outline);
+      mesh.dispose();
+      outline.geometry.dispose();
+    });
+    this.chunks = [];
+    this.activeChunks = 0;
+    if (this.material) {
+      this.material.dispose();
+      this.material = null;
+    }
+  }
+}
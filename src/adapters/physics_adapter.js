@@ -0,0 +1,110 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { EVENTS } from '../core/event_system.js';
+
+/**
+ * Gives the simulation's blocks cannon-es bodies so overhangs can fall
+ */
+export class PhysicsAdapter {
+  /**
+   * @param {PhysicsManager} physicsManager 
+   * @param {GameLogic} gameLogic - Simulation to mirror
+   */
+  constructor(physicsManager, gameLogic) {
+    this.physicsManager = physicsManager;
+    this.gameLogic = gameLogic;
+    // Stack layers below this index have had their bodies pruned
+    this.prunedCount = 0;
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup simulation event listeners
+   */
+  setupEventListeners() {
+    const events = this.gameLogic.events;
+    events.on(EVENTS.LAYER_ADDED, ({ block }) => this.addBody(block, false));
+    events.on(EVENTS.OVERHANG_ADDED, ({ block }) => this.addBody(block, true));
+    events.on(EVENTS.BLOCK_CHANGED, ({ block }) => this.syncBody(block));
+    events.on(EVENTS.BLOCK_REMOVED, ({ block }) => this.removeBody(block));
+    events.on(EVENTS.STACK_CLEARED, () => {
+      this.physicsManager.clearBodies();
+      this.prunedCount = 0;
+    });
+  }
+
+  /**
+   * Create a body for a new block
+   * @param {Block} block 
+   * @param {boolean} isDynamic - Whether the body should fall
+   */
+  addBody(block, isDynamic) {
+    const { x, y, z } = block.position;
+    const body = this.physicsManager.createBoxBody(
+      x, y, z, block.width, GAME_CONFIG.BOX_HEIGHT, block.depth, isDynamic
+    );
+    block.physicsBody = body;
+    
+    if (isDynamic) {
+      // Settled debris is left out of the per-frame mesh updates until something knocks it
+      body.addEventListener('sleep', () => { block.isFalling = false; });
+      body.addEventListener('wakeup', () => { block.isFalling = true; });
+    }
+  }
+
+  /**
+   * Match a body to its block after a cut, snap or regrowth
+   * @param {Block} block 
+   */
+  syncBody(block) {
+    const body = block.physicsBody;
+    if (!body) return;
+    
+    this.physicsManager.updateBodyShape(body, block.width, GAME_CONFIG.BOX_HEIGHT, block.depth);
+    body.position.set(block.position.x, block.position.y, block.position.z);
+  }
+
+  /**
+   * Remove a block's body from the world
+   * @param {Block} block 
+   */
+  removeBody(block) {
+    this.physicsManager.removeBody(block.physicsBody);
+    block.physicsBody = null;
+  }
+
+  /**
+   * Advance the physics world by one simulation step
+   * @param {number} deltaTime 
+   */
+  step(deltaTime) {
+    this.physicsManager.step(deltaTime);
+    this.pruneStack();
+  }
+
+  /**
+   * Drop the bodies of stack layers nothing can reach any more, so the world
+   * stays the same size however tall the tower grows
+   */
+  pruneStack() {
+    const stack = this.gameLogic.stack;
+    const keepFrom = stack.length - GAME_CONFIG.PHYSICS_KEEP_LAYERS;
+    if (this.prunedCount >= keepFrom) return;
+    
+    let lowestDebris = Infinity;
+    this.gameLogic.overhangs.forEach(({ physicsBody }) => {
+      if (physicsBody) lowestDebris = Math.min(lowestDebris, physicsBody.position.y);
+    });
+    const clearance = GAME_CONFIG.PHYSICS_PRUNE_MARGIN * GAME_CONFIG.BOX_HEIGHT;
+    
+    while (this.prunedCount < keepFrom) {
+      const block = stack[this.prunedCount];
+      const isUnreachable = block.position.y + clearance < lowestDebris;
+      const isOverBudget = this.physicsManager.getBodyCount() > GAME_CONFIG.PHYSICS_MAX_BODIES;
+      if (!isUnreachable && !isOverBudget) break;
+      
+      this.removeBody(block);
+      this.prunedCount++;
+    }
+  }
+}
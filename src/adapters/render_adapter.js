@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { EVENTS } from '../core/event_system.js';
+import { Theme } from '../core/theme.js';
+import { DEFAULT_THEME } from '../config/theme_presets.js';
+import { POWER_UPS } from '../config/power_ups.js';
+import { isMotionReduced } from '../core/motion.js';
+import { LayerBatch } from './layer_batch.js';
+
+// Radians per millisecond the power-up markers spin at
+const MARKER_SPIN_SPEED = 0.003;
+
+/**
+ * Mirrors the simulation's blocks as Three.js meshes and drives the camera
+ */
+export class RenderAdapter {
+  /**
+   * @param {RenderView} view - View the meshes are drawn in
+   * @param {GameLogic} gameLogic - Simulation to mirror
+   */
+  constructor(view, gameLogic) {
+    this.view = view;
+    this.gameLogic = gameLogic;
+    this.meshes = new Map();
+    this.markers = new Map();
+    this.theme = Theme.fromPreset(DEFAULT_THEME);
+    // Every block is this box scaled to its size
+    this.geometry = new THREE.BoxGeometry(1, GAME_CONFIG.BOX_HEIGHT, 1);
+    // High-contrast outlines ride on every block and are shown by toggling the shared material
+    this.outlineGeometry = new THREE.EdgesGeometry(this.geometry);
+    this.outlineMaterial = new THREE.LineBasicMaterial({ color: GAME_CONFIG.HIGH_CONTRAST_OUTLINE_COLOR });
+    this.outlineMaterial.visible = false;
+    this.batch = new LayerBatch(view, this.geometry, this.outlineGeometry, this.outlineMaterial);
+    this.batch.setTheme(this.theme);
+    // Stack layers below this index are drawn by the batch
+    this.settledCount = 0;
+    
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup simulation event listeners
+   */
+  setupEventListeners() {
+    const events = this.gameLogic.events;
+    events.on(EVENTS.LAYER_ADDED, ({ block }) => {
+      this.addBlock(block);
+      this.settleLayers();
+    });
+    events.on(EVENTS.OVERHANG_ADDED, ({ block }) => this.addBlock(block));
+    events.on(EVENTS.BLOCK_CHANGED, ({ block }) => this.syncBlock(block));
+    events.on(EVENTS.BLOCK_REMOVED, ({ block }) => this.removeBlock(block));
+    events.on(EVENTS.POWER_UP_ACTIVATED, ({ block }) => this.removeMarker(block));
+    events.on(EVENTS.POWER_UP_LOST, ({ block }) => this.removeMarker(block));
+    events.on(EVENTS.STACK_CLEARED, () => this.clear());
+  }
+
+  /**
+   * Create the visual representation of a block
+   * @param {Block} block 
+   * @returns {THREE.Mesh} The created mesh
+   */
+  createMesh(block) {
+    const material = this.theme.createMaterial(this.theme.getBlockColor(block.stackIndex));
+    const mesh = new THREE.Mesh(this.geometry, material);
+    mesh.position.set(block.position.x, block.position.y, block.position.z);
+    mesh.scale.set(block.width, 1, block.depth);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.add(new THREE.LineSegments(this.outlineGeometry, this.outlineMaterial));
+    
+    return mesh;
+  }
+
+  /**
+   * Create and add a mesh for a new block
+   * @param {Block} block 
+   */
+  addBlock(block) {
+    const mesh = this.createMesh(block);
+    this.meshes.set(block, mesh);
+    this.view.addToScene(mesh);
+    
+    if (block.powerUp) {
+      this.addMarker(block, mesh);
+    }
+  }
+
+  /**
+   * Hand layers that can no longer move or change size over to the batch
+   */
+  settleLayers() {
+    const stack = this.gameLogic.stack;
+    const settledTarget = stack.length - GAME_CONFIG.RENDER_LIVE_LAYERS;
+    
+    while (this.settledCount < settledTarget) {
+      const block = stack[this.settledCount];
+      this.removeBlock(block);
+      this.batch.add(block);
+      this.settledCount++;
+    }
+    this.batch.cull(stack.length - 1);
+  }
+
+  /**
+   * Float a spinning gem above a block that carries a power-up
+   * @param {Block} block 
+   * @param {THREE.Mesh} mesh - The block's mesh, which the marker rides on
+   */
+  addMarker(block, mesh) {
+    const size = Math.min(block.width, block.depth) * 0.2;
+    const marker = new THREE.Mesh(
+      new THREE.OctahedronGeometry(size),
+      new THREE.MeshBasicMaterial({ color: POWER_UPS[block.powerUp].color })
+    );
+    marker.position.y = GAME_CONFIG.BOX_HEIGHT / 2 + size * 1.5;
+    // Undo the block's scale so the gem keeps its shape
+    marker.scale.set(1 / block.width, 1, 1 / block.depth);
+    
+    mesh.add(marker);
+    this.markers.set(block, marker);
+  }
+
+  /**
+   * Take the power-up marker off a block
+   * @param {Block} block 
+   */
+  removeMarker(block) {
+    const marker = this.markers.get(block);
+    if (!marker) return;
+    
+    marker.removeFromParent();
+    marker.geometry.dispose();
+    marker.material.dispose();
+    this.markers.delete(block);
+  }
+
+  /**
+   * Switch theme, recolouring every block already on screen
+   * @param {Theme} theme 
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    this.view.applyTheme(theme);
+    this.batch.setTheme(theme);
+    
+    this.meshes.forEach((mesh, block) => {
+      mesh.material.dispose();
+      mesh.material = theme.createMaterial(theme.getBlockColor(block.stackIndex));
+    });
+  }
+
+  /**
+   * Show or hide the high-contrast outline around every block
+   * @param {boolean} enabled 
+   */
+  setOutlined(enabled) {
+    this.outlineMaterial.visible = enabled;
+  }
+
+  /**
+   * Check if block outlines are shown
+   * @returns {boolean}
+   */
+  isOutlined() {
+    return this.outlineMaterial.visible;
+  }
+
+  /**
+   * Get the mesh mirroring a block
+   * @param {Block} block 
+   * @returns {THREE.Mesh|undefined}
+   */
+  getMesh(block) {
+    return this.meshes.get(block);
+  }
+
+  /**
+   * Match a mesh to its block after a cut, snap or regrowth
+   * @param {Block} block 
+   */
+  syncBlock(block) {
+    const mesh = this.meshes.get(block);
+    if (!mesh) return;
+    
+    mesh.scale.set(block.width, 1, block.depth);
+    mesh.position.set(block.position.x, block.position.y, block.position.z);
+  }
+
+  /**
+   * Remove and dispose a block's mesh
+   * @param {Block} block 
+   */
+  removeBlock(block) {
+    const mesh = this.meshes.get(block);
+    if (!mesh) return;
+    
+    this.removeMarker(block);
+    this.view.removeFromScene(mesh);
+    mesh.material.dispose();
+    this.meshes.delete(block);
+  }
+
+  /**
+   * Remove every block mesh and reset the camera
+   */
+  clear() {
+    [...this.meshes.keys()].forEach(block => this.removeBlock(block));
+    this.batch.clear();
+    this.settledCount = 0;
+    this.view.resetCamera();
+  }
+
+  /**
+   * Remove every mesh and free the shared geometry, materials and batch
+   */
+  dispose() {
+    [...this.meshes.keys()].forEach(block => this.removeBlock(block));
+    this.batch.dispose();
+    this.settledCount = 0;
+    this.geometry.dispose();
+    this.outlineGeometry.dispose();
+    this.outlineMaterial.dispose();
+  }
+
+  /**
+   * Follow the top of the stack; called once per simulation step
+   * @param {number} deltaTime 
+   */
+  update(deltaTime) {
+    const targetCameraY = GAME_CONFIG.BOX_HEIGHT * (this.gameLogic.getStackHeight() - 2);
+    this.view.updateCameraPosition(targetCameraY, deltaTime);
+    
+    if (isMotionReduced()) return;
+    this.markers.forEach(marker => {
+      marker.rotation.y += MARKER_SPIN_SPEED * deltaTime;
+    });
+  }
+
+  /**
+   * Blend meshes between the last two simulation steps
+   * @param {number} alpha - Fraction of a step elapsed since the last update (0-1)
+   */
+  interpolate(alpha) {
+    const stack = this.gameLogic.stack;
+    const topLayer = stack[stack.length - 1];
+    const topMesh = topLayer && this.meshes.get(topLayer);
+    if (topMesh) {
+      const prev = topLayer.previousPosition;
+      const pos = topLayer.position;
+      topMesh.position.set(
+        prev.x + (pos.x - prev.x) * alpha,
+        prev.y + (pos.y - prev.y) * alpha,
+        prev.z + (pos.z - prev.z) * alpha
+      );
+    }
+    
+    this.gameLogic.overhangs.forEach(overhang => {
+      const mesh = this.meshes.get(overhang);
+      const body = overhang.physicsBody;
+      if (!mesh || !body || !overhang.isFalling) return;
+      
+      body.previousPosition.lerp(body.position, alpha, body.interpolatedPosition);
+      body.previousQuaternion.slerp(body.quaternion, alpha, body.interpolatedQuaternion);
+      mesh.position.copy(body.interpolatedPosition);
+      mesh.quaternion.copy(body.interpolatedQuaternion);
+    });
+  }
+}
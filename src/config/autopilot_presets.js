@@ -0,0 +1,35 @@
+/**
+ * Robot skill levels as plain data. `policy` picks the AutopilotPolicy class;
+ * the remaining fields are its options.
+ *
+ * - 'offset': the original attract-mode robot; stops the block at a random
+ *   offset from the layer below, drawn per layer from
+ *   [-0.5, GAME_CONFIG.ROBOT_PRECISION_RANGE - 0.5)
+ * - 'human': plans each drop `reactionMs` ahead from the block's current
+ *   speed, then misjudges the moment by a normal error of `timingJitterMs`
+ * - 'perfect': drops on the step closest to exact alignment
+ */
+export const AUTOPILOT_PRESETS = {
+  casual: {
+    label: 'Casual',
+    policy: 'offset'
+  },
+  beginner: {
+    label: 'Beginner',
+    policy: 'human',
+    reactionMs: 300,
+    timingJitterMs: 70
+  },
+  skilled: {
+    label: 'Skilled',
+    policy: 'human',
+    reactionMs: 200,
+    timingJitterMs: 25
+  },
+  perfect: {
+    label: 'Perfect',
+    policy: 'perfect'
+  }
+};
+
+export const DEFAULT_AUTOPILOT = 'casual';
@@ -0,0 +1,47 @@
+/**
+ * Difficulty curves as plain data so they can be tuned (or loaded from JSON)
+ * without touching game code.
+ *
+ * - `driver`: what the curves are keyed on, 'height' (stack layers) or 'score'
+ * - `speed`: [level, speed] keyframes in units per millisecond, linearly
+ *   interpolated and clamped past the first and last keyframe. They assume
+ *   PRESET_BASE_SPEED; a different GAME_CONFIG.MOVEMENT_SPEED scales them all
+ * - `spawnDistance`: [level, distance] keyframes for how far from the stack
+ *   centre new layers spawn; also the distance at which a block is lost
+ * - `speedJitter`: random speed variation per layer as a fraction (0.1 = ±10%)
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    label: 'Easy',
+    driver: 'height',
+    speed: [[0, 0.006], [40, 0.008], [100, 0.01]],
+    spawnDistance: [[0, 10]],
+    speedJitter: 0
+  },
+  normal: {
+    label: 'Normal',
+    driver: 'height',
+    speed: [[0, 0.008], [30, 0.01], [80, 0.013]],
+    spawnDistance: [[0, 10], [50, 8]],
+    speedJitter: 0.05
+  },
+  hard: {
+    label: 'Hard',
+    driver: 'height',
+    speed: [[0, 0.01], [25, 0.013], [60, 0.017]],
+    spawnDistance: [[0, 9], [40, 7]],
+    speedJitter: 0.1
+  },
+  insane: {
+    label: 'Insane',
+    driver: 'height',
+    speed: [[0, 0.013], [20, 0.017], [50, 0.022]],
+    spawnDistance: [[0, 8], [30, 6]],
+    speedJitter: 0.2
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Movement speed the preset keyframes were tuned for
+export const PRESET_BASE_SPEED = 0.008;
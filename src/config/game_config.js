@@ -8,31 +8,145 @@ export const GAME_CONFIG = {
   BOX_HEIGHT: 1,
   ORIGINAL_BOX_SIZE: 3,
   PHYSICS_TIMESTEP: 1/1000,
+  // Falling debris sleeps once slower than this (units/s) for this long (s)
+  OVERHANG_SLEEP_SPEED: 0.1,
+  OVERHANG_SLEEP_TIME: 0.5,
+  // Static layer bodies are dropped once they're more than PRUNE_MARGIN layers
+  // below the lowest debris, or lowest first while the world is over budget;
+  // the top PHYSICS_KEEP_LAYERS always keep theirs
+  PHYSICS_KEEP_LAYERS: 12,
+  PHYSICS_PRUNE_MARGIN: 2,
+  PHYSICS_MAX_BODIES: 60,
+  
+  // Debris lifecycle: pieces are removed after a lifetime (ms), beyond a
+  // count (oldest first), or once they fell from this many layers below the top
+  OVERHANG_LIFETIME: 8000,
+  OVERHANG_MAX_COUNT: 30,
+  OVERHANG_CULL_LAYERS: 10,
+  
+  // Simulation loop
+  SIMULATION_STEP_MS: 1000 / 120,
+  MAX_FRAME_TIME_MS: 250,
+  // Furthest a drop is moved back (or forward) to the moment the player pressed
+  INPUT_MAX_REWIND_MS: 150,
+  
+  // Latency calibration
+  CALIBRATION_BEAT_MS: 600,
+  CALIBRATION_TAPS: 8,
+  // Beats played before taps count, so the player can find the rhythm
+  CALIBRATION_LEAD_IN_BEATS: 2,
+  CALIBRATION_MAX_OFFSET_MS: 250,
   
   // Visual
   CAMERA_WIDTH: 10,
   AMBIENT_LIGHT_INTENSITY: 0.6,
   DIRECTIONAL_LIGHT_INTENSITY: 0.6,
   DIRECTIONAL_LIGHT_POSITION: { x: 10, y: 20, z: 0 },
+  GROUND_SIZE: 40,
+  HIGH_CONTRAST_OUTLINE_COLOR: 0x000000,
+  // Layers below the top few are drawn as instances, RENDER_BATCH_SIZE per
+  // draw call; batches wholly RENDER_CULL_LAYERS below the top are skipped
+  RENDER_LIVE_LAYERS: 4,
+  RENDER_BATCH_SIZE: 64,
+  RENDER_CULL_LAYERS: 40,
   
-  // Game mechanics
+  // Game mechanics: difficulty curves scale with MOVEMENT_SPEED
   MOVEMENT_SPEED: 0.008,
   CAMERA_FOLLOW_SPEED: 0.08,
+  // Fraction of the remaining distance per millisecond the camera eases by when motion is reduced
+  CAMERA_REDUCED_EASE: 0.004,
   BOX_FALL_MASS: 5,
   
+  // Ping-pong movement: fraction of the travel near each end where the block
+  // slows down, and the slowest speed it reaches there (0 zone disables easing)
+  OSCILLATION_EASE_ZONE: 0.15,
+  OSCILLATION_EASE_MIN_SPEED: 0.35,
+  
+  // Perfect placement
+  PERFECT_TOLERANCE: 0.1,
+  COMBO_REGROW_THRESHOLD: 3,
+  COMBO_REGROW_AMOUNT: 0.25,
+  
+  // Power-ups
+  // Chance that a spawned layer carries a power-up, keyed by game mode
+  POWER_UP_CHANCE: { classic: 0.1, sudden_death: 0.15 },
+  POWER_UP_MIN_OVERLAP: 0.8,
+  POWER_UP_SLOW_DURATION: 5000,
+  POWER_UP_SLOW_FACTOR: 0.5,
+  POWER_UP_WIDEN_AMOUNT: 0.5,
+  
   // Colors
   COLOR_HUE_BASE: 30,
   COLOR_HUE_INCREMENT: 4,
   COLOR_SATURATION: 100,
   COLOR_LIGHTNESS: 50,
   
+  // Audio: perfect-streak notes climb a major scale from this pitch,
+  // topping out after this many notes
+  AUDIO_BASE_NOTE_HZ: 523.25,
+  AUDIO_MAX_STREAK_NOTES: 15,
+  
+  // Effects: durations in milliseconds, sizes in world units
+  EFFECTS_MAX_PARTICLES: 256,
+  EFFECTS_CUT_PARTICLES: 24,
+  EFFECTS_PARTICLE_SIZE: 0.08,
+  EFFECTS_PARTICLE_LIFETIME: 600,
+  EFFECTS_PARTICLE_GRAVITY: 0.00002,
+  EFFECTS_RING_DURATION: 450,
+  EFFECTS_RING_GROWTH: 0.8,
+  EFFECTS_FLASH_DURATION: 160,
+  EFFECTS_SHAKE_DURATION: 300,
+  EFFECTS_SHAKE_STRENGTH: 0.15,
+  
   // Robot/AI
   ROBOT_PRECISION_RANGE: 1,
+  AUTOPILOT_RESTART_DELAY: 1500,
+  // How early the coach hints, roughly a player's reaction time
+  COACH_LEAD_MS: 200,
+  
+  // Pause
+  RESUME_COUNTDOWN_SECONDS: 3,
+  SETTINGS_STORAGE_KEY: 'stack-game.settings',
+  CONFIG_STORAGE_KEY: 'stack-game.config',
+  CUSTOM_THEME_STORAGE_KEY: 'stack-game.custom-theme',
+  
+  // Input
+  INPUT_STORAGE_KEY: 'stack-game.input',
+  // Mouse events this soon after a touch are the browser's emulation of it
+  INPUT_TOUCH_MOUSE_GUARD_MS: 800,
+  
+  // Leaderboard
+  LEADERBOARD_SIZE: 10,
+  LEADERBOARD_STORAGE_KEY: 'stack-game.leaderboard',
+  PLAYER_NAME_STORAGE_KEY: 'stack-game.player-name',
+  
+  // Statistics
+  STATS_STORAGE_KEY: 'stack-game.stats',
+  STATS_RECENT_RUNS: 20,
+  
+  // Saved run
+  SAVE_STORAGE_KEY: 'stack-game.save',
+  
+  // Daily challenge
+  DAILY_STORAGE_KEY: 'stack-game.daily',
+  DAILY_SHARE_ROW_LENGTH: 10,
   
   // UI
   SCORE_ELEMENT_ID: 'score',
   INSTRUCTIONS_ELEMENT_ID: 'instructions',
-  RESULTS_ELEMENT_ID: 'results'
+  RESULTS_ELEMENT_ID: 'results',
+  COMBO_ELEMENT_ID: 'combo',
+  REPLAY_CONTROLS_ELEMENT_ID: 'replay-controls',
+  LEADERBOARD_ELEMENT_ID: 'leaderboard',
+  PAUSE_ELEMENT_ID: 'pause',
+  PAUSE_BUTTON_ELEMENT_ID: 'pause-button',
+  SETTINGS_ELEMENT_ID: 'settings',
+  VERSUS_ELEMENT_ID: 'versus',
+  POWER_UPS_ELEMENT_ID: 'power-ups',
+  COACH_HINT_ELEMENT_ID: 'coach-hint',
+  STATS_ELEMENT_ID: 'stats',
+  ANNOUNCER_ELEMENT_ID: 'announcer',
+  CALIBRATION_ELEMENT_ID: 'calibration'
 };
 
 export const DIRECTIONS = {
@@ -40,6 +154,13 @@ export const DIRECTIONS = {
   Z: 'z'
 };
 
+export const GAME_MODES = {
+  // Block sweeps back and forth until dropped
+  CLASSIC: 'classic',
+  // Block crosses once; letting it leave the area is a miss
+  SUDDEN_DEATH: 'sudden_death'
+};
+
 export const GAME_STATES = {
   MENU: 'menu',
   PLAYING: 'playing',
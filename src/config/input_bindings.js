@@ -0,0 +1,41 @@
+/**
+ * Actions the player can trigger and the physical inputs bound to them by
+ * default. `keys` are KeyboardEvent.code values; `buttons` are indices into
+ * the standard Gamepad API button layout (0 = A/Cross, 3 = Y/Triangle,
+ * 8 = Back/Select, 9 = Start, 12/13 = D-pad up/down).
+ *
+ * Actions in the same `group` can't share an input; a game action and a menu
+ * action can, and the menu one wins while a menu control has focus.
+ */
+export const INPUT_ACTIONS = {
+  PLACE: 'place',
+  PLACE_SECOND: 'placeSecond',
+  PAUSE: 'pause',
+  RESTART: 'restart',
+  MUTE: 'mute',
+  MENU_UP: 'menuUp',
+  MENU_DOWN: 'menuDown',
+  MENU_SELECT: 'menuSelect'
+};
+
+export const INPUT_ACTION_INFO = {
+  [INPUT_ACTIONS.PLACE]: { label: 'Drop block', group: 'game' },
+  [INPUT_ACTIONS.PLACE_SECOND]: { label: 'Drop (versus player 2)', group: 'game' },
+  [INPUT_ACTIONS.PAUSE]: { label: 'Pause / resume', group: 'game' },
+  [INPUT_ACTIONS.RESTART]: { label: 'Restart', group: 'game' },
+  [INPUT_ACTIONS.MUTE]: { label: 'Mute', group: 'game' },
+  [INPUT_ACTIONS.MENU_UP]: { label: 'Menu up', group: 'menu' },
+  [INPUT_ACTIONS.MENU_DOWN]: { label: 'Menu down', group: 'menu' },
+  [INPUT_ACTIONS.MENU_SELECT]: { label: 'Menu select', group: 'menu' }
+};
+
+export const DEFAULT_BINDINGS = {
+  [INPUT_ACTIONS.PLACE]: { keys: ['Space'], buttons: [0] },
+  [INPUT_ACTIONS.PLACE_SECOND]: { keys: ['Enter'], buttons: [] },
+  [INPUT_ACTIONS.PAUSE]: { keys: ['Escape', 'KeyP'], buttons: [9] },
+  [INPUT_ACTIONS.RESTART]: { keys: ['KeyR'], buttons: [3] },
+  [INPUT_ACTIONS.MUTE]: { keys: ['KeyM'], buttons: [8] },
+  [INPUT_ACTIONS.MENU_UP]: { keys: ['ArrowUp'], buttons: [12] },
+  [INPUT_ACTIONS.MENU_DOWN]: { keys: ['ArrowDown'], buttons: [13] },
+  [INPUT_ACTIONS.MENU_SELECT]: { keys: [], buttons: [0] }
+};
@@ -0,0 +1,20 @@
+/**
+ * Power-ups a spawned layer can carry. Landing the layer with at least
+ * GAME_CONFIG.POWER_UP_MIN_OVERLAP of its width on the stack activates it.
+ * Tuning numbers live in GAME_CONFIG so replays record them; this is only
+ * how each power-up is presented.
+ */
+export const POWER_UP_TYPES = {
+  // Lowers the movement speed for a while
+  SLOW_MOTION: 'slow_motion',
+  // Grows the tower by a fixed amount
+  WIDEN: 'widen',
+  // Makes the next drop perfect
+  AUTO_ALIGN: 'auto_align'
+};
+
+export const POWER_UPS = {
+  [POWER_UP_TYPES.SLOW_MOTION]: { label: 'Slow motion', icon: '🐢', color: 0x4fc3f7 },
+  [POWER_UP_TYPES.WIDEN]: { label: 'Widen', icon: '↔', color: 0x81c784 },
+  [POWER_UP_TYPES.AUTO_ALIGN]: { label: 'Auto-align', icon: '🎯', color: 0xffd54f }
+};
@@ -0,0 +1,86 @@
+import { GAME_CONFIG } from './game_config.js';
+
+/**
+ * Visual themes as plain data so custom ones can be loaded from JSON.
+ *
+ * - `blocks`: how each layer is coloured, one of
+ *   - `{ type: 'hue', base, step, saturation, lightness }`: HSL ramp, hue moving `step` degrees per layer
+ *   - `{ type: 'palette', colors }`: cycle through the colours layer by layer
+ *   - `{ type: 'gradient', colors, steps }`: blend between the colours, `steps`
+ *     layers per stop, running back and forth so it never jumps
+ * - `material`: 'lambert', 'phong', 'standard' or 'toon'
+ * - `background`: scene clear colour
+ * - `accent`: colour of sparks and perfect-placement rings
+ * - `lighting`: `{ ambient, directional }`, each `{ color, intensity }`
+ *
+ * Colours are hex strings ('#rgb' or '#rrggbb').
+ */
+export const THEME_PRESETS = {
+  classic: {
+    label: 'Classic',
+    blocks: {
+      type: 'hue',
+      base: GAME_CONFIG.COLOR_HUE_BASE,
+      step: GAME_CONFIG.COLOR_HUE_INCREMENT,
+      saturation: GAME_CONFIG.COLOR_SATURATION,
+      lightness: GAME_CONFIG.COLOR_LIGHTNESS
+    },
+    material: 'lambert',
+    background: '#1a1a1a',
+    accent: '#fff2c0',
+    lighting: {
+      ambient: { color: '#ffffff', intensity: GAME_CONFIG.AMBIENT_LIGHT_INTENSITY },
+      directional: { color: '#ffffff', intensity: GAME_CONFIG.DIRECTIONAL_LIGHT_INTENSITY }
+    }
+  },
+  pastel: {
+    label: 'Pastel',
+    blocks: { type: 'hue', base: 190, step: 11, saturation: 70, lightness: 78 },
+    material: 'lambert',
+    background: '#2b2838',
+    accent: '#ffffff',
+    lighting: {
+      ambient: { color: '#fff6f0', intensity: 0.75 },
+      directional: { color: '#ffffff', intensity: 0.45 }
+    }
+  },
+  neon: {
+    label: 'Neon',
+    blocks: { type: 'palette', colors: ['#ff2bd6', '#00f0ff', '#39ff14', '#fff01f', '#ff6b00', '#8a2bff'] },
+    material: 'phong',
+    background: '#07010f',
+    accent: '#00f0ff',
+    lighting: {
+      ambient: { color: '#b38cff', intensity: 0.35 },
+      directional: { color: '#ffffff', intensity: 0.9 }
+    }
+  },
+  monochrome: {
+    label: 'Monochrome',
+    blocks: { type: 'gradient', colors: ['#f2f2f2', '#8c8c8c', '#3a3a3a'], steps: 12 },
+    material: 'standard',
+    background: '#111111',
+    accent: '#ffffff',
+    lighting: {
+      ambient: { color: '#ffffff', intensity: 0.6 },
+      directional: { color: '#ffffff', intensity: 0.8 }
+    }
+  },
+  // Okabe-Ito palette: distinguishable with every common form of colour blindness
+  colorblind: {
+    label: 'Colorblind-safe',
+    blocks: { type: 'palette', colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7'] },
+    material: 'lambert',
+    background: '#1a1a1a',
+    accent: '#ffffff',
+    lighting: {
+      ambient: { color: '#ffffff', intensity: 0.65 },
+      directional: { color: '#ffffff', intensity: 0.6 }
+    }
+  }
+};
+
+export const DEFAULT_THEME = 'classic';
+
+// Setting value selecting the theme loaded from a JSON file
+export const CUSTOM_THEME = 'custom';
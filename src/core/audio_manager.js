@@ -0,0 +1,371 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { gameEvents, EVENTS } from './event_system.js';
+import { settings } from './settings.js';
+
+// Semitone offsets of a major scale
+const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Frequency of the nth note of the perfect-streak scale
+ * @param {number} step - 0 for the first perfect
+ * @returns {number}
+ */
+function streakNoteFrequency(step) {
+  const clamped = Math.min(step, GAME_CONFIG.AUDIO_MAX_STREAK_NOTES - 1);
+  const octave = Math.floor(clamped / MAJOR_SCALE.length);
+  const semitones = octave * 12 + MAJOR_SCALE[clamped % MAJOR_SCALE.length];
+  return GAME_CONFIG.AUDIO_BASE_NOTE_HZ * Math.pow(2, semitones / 12);
+}
+
+/**
+ * Clamp a stored volume into the 0..1 range
+ * @param {*} value
+ * @returns {number}
+ */
+function toVolume(value) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : 1;
+}
+
+/**
+ * Synthesizes game sound effects with the Web Audio API; no audio assets needed
+ */
+export class AudioManager {
+  constructor() {
+    this.context = null;
+    this.masterGain = null;
+    this.sfxGain = null;
+    this.noiseBuffer = null;
+    this.isHidden = false;
+    this.isSeeking = false;
+    this.scope = null;
+
+    this.unlock = this.unlock.bind(this);
+  }
+
+  /**
+   * Subscribe to game events. The audio context itself is created on the
+   * first user gesture, since browsers block audio before one.
+   */
+  initialize() {
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        console.warn('Web Audio is not supported, sound is disabled');
+        return;
+      }
+
+      window.addEventListener('pointerdown', this.unlock);
+      window.addEventListener('keydown', this.unlock);
+
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize AudioManager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    this.scope = gameEvents.createScope();
+    const listeners = {
+      [EVENTS.GAME_PAUSED]: ({ reason }) => {
+        if (reason === 'hidden') this.setHidden(true);
+      },
+      [EVENTS.GAME_RESUMED]: ({ reason }) => {
+        if (reason === 'hidden') this.setHidden(false);
+      },
+      // Seeking a replay fast-forwards through many drops at once
+      [EVENTS.REPLAY_SEEKING]: ({ isSeeking }) => { this.isSeeking = isSeeking; },
+      [EVENTS.SETTINGS_CHANGED]: ({ key }) => {
+        if (key === 'masterVolume' || key === 'sfxVolume' || key === 'muted') {
+          this.applyVolume();
+        }
+      }
+    };
+
+    Object.entries(listeners).forEach(([event, callback]) => this.scope.on(event, callback));
+    this.attachGame(this.scope);
+  }
+
+  /**
+   * Play the sounds of one simulation's event bus
+   * @param {EventSystem|EventScope} events
+   * @returns {Function} Detach function
+   */
+  attachGame(events) {
+    // Attract mode also clears the stack but never announces a start,
+    // so the autopilot's drops stay silent
+    let isPlaying = false;
+    const whilePlaying = handler => data => {
+      if (isPlaying && this.canPlay()) handler.call(this, data);
+    };
+
+    const scope = events.createScope();
+    const listeners = {
+      [EVENTS.STACK_CLEARED]: () => { isPlaying = false; },
+      [EVENTS.GAME_START]: data => {
+        isPlaying = true;
+        if (this.canPlay()) this.handleGameStart(data);
+      },
+      [EVENTS.RUN_RESTORED]: () => { isPlaying = true; },
+      [EVENTS.BLOCK_ALIGNED]: whilePlaying(this.handleAligned),
+      [EVENTS.BLOCK_CUT]: whilePlaying(this.handleCut),
+      [EVENTS.PERFECT_PLACEMENT]: whilePlaying(this.handlePerfect),
+      [EVENTS.BLOCK_MISSED]: whilePlaying(this.handleMiss),
+      [EVENTS.POWER_UP_ACTIVATED]: whilePlaying(this.handlePowerUp),
+      [EVENTS.GAME_OVER]: data => {
+        if (isPlaying && this.canPlay()) this.handleGameOver(data);
+        isPlaying = false;
+      }
+    };
+
+    Object.entries(listeners).forEach(([event, callback]) => scope.on(event, callback));
+    return () => scope.dispose();
+  }
+
+  /**
+   * Create or wake the audio context from inside a user gesture
+   */
+  unlock() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+      this.createGraph();
+    }
+
+    if (this.context.state === 'suspended' && !this.isHidden) {
+      this.context.resume().catch(() => {});
+    }
+  }
+
+  /**
+   * Build the master and effects gain chain
+   */
+  createGraph() {
+    this.masterGain = this.context.createGain();
+    this.masterGain.connect(this.context.destination);
+
+    this.sfxGain = this.context.createGain();
+    this.sfxGain.connect(this.masterGain);
+
+    // One second of white noise, reused for every noisy effect
+    const length = this.context.sampleRate;
+    this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    this.applyVolume();
+  }
+
+  /**
+   * Push the volume and mute settings into the gain chain
+   */
+  applyVolume() {
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+    const master = settings.get('muted') ? 0 : toVolume(settings.get('masterVolume'));
+    this.masterGain.gain.setTargetAtTime(master, now, 0.02);
+    this.sfxGain.gain.setTargetAtTime(toVolume(settings.get('sfxVolume')), now, 0.02);
+  }
+
+  /**
+   * Silence everything while the page is hidden, matching the paused game
+   * @param {boolean} hidden
+   */
+  setHidden(hidden) {
+    this.isHidden = hidden;
+    if (!this.context) return;
+
+    if (hidden) {
+      this.context.suspend().catch(() => {});
+    } else {
+      this.context.resume().catch(() => {});
+    }
+  }
+
+  /**
+   * Check if effects should be scheduled. A context still waking up from
+   * its unlock plays them as soon as it is running.
+   * @returns {boolean}
+   */
+  canPlay() {
+    return this.context !== null && !this.isHidden && !this.isSeeking;
+  }
+
+  /**
+   * Play a single enveloped oscillator
+   * @param {Object} options - { frequency, endFrequency, type, duration, volume, delay }
+   */
+  playTone({ frequency, endFrequency = frequency, type = 'sine', duration, volume, delay = 0 }) {
+    const start = this.context.currentTime + delay;
+    const end = start + duration;
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (endFrequency !== frequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(endFrequency, end);
+    }
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    oscillator.connect(gain);
+    gain.connect(this.sfxGain);
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  /**
+   * Play a burst of filtered noise
+   * @param {Object} options - { filterType, filterFrequency, duration, volume }
+   */
+  playNoise({ filterType = 'bandpass', filterFrequency, duration, volume }) {
+    const start = this.context.currentTime;
+    const end = start + duration;
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.value = filterFrequency;
+
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.sfxGain);
+    source.start(start);
+    source.stop(end);
+  }
+
+  /**
+   * Low thud of a block landing on the stack
+   */
+  playPlacement() {
+    this.playTone({ frequency: 160, endFrequency: 60, duration: 0.14, volume: 0.5 });
+    this.playNoise({ filterType: 'lowpass', filterFrequency: 900, duration: 0.05, volume: 0.25 });
+  }
+
+  /**
+   * Handle a run starting: a short rising arpeggio
+   */
+  handleGameStart() {
+    [0, 4, 7].forEach((semitones, index) => {
+      this.playTone({
+        frequency: GAME_CONFIG.AUDIO_BASE_NOTE_HZ * Math.pow(2, semitones / 12) / 2,
+        type: 'triangle',
+        duration: 0.18,
+        volume: 0.3,
+        delay: index * 0.08
+      });
+    });
+  }
+
+  /**
+   * Handle an imperfect drop: the landing plus a slice, louder for bigger cuts
+   * @param {Object} data - { block, overhang, overhangSize }
+   */
+  handleCut({ overhangSize }) {
+    const size = Math.min(overhangSize / GAME_CONFIG.ORIGINAL_BOX_SIZE, 1);
+    this.playPlacement();
+    this.playNoise({ filterType: 'highpass', filterFrequency: 3000, duration: 0.12, volume: 0.15 + 0.25 * size });
+  }
+
+  /**
+   * Handle a perfect drop: the landing plus a chime that climbs with the streak
+   * @param {Object} data - { block, combo, grew }
+   */
+  handlePerfect({ combo, grew }) {
+    const frequency = streakNoteFrequency(combo - 1);
+    this.playPlacement();
+    this.playTone({ frequency, type: 'triangle', duration: 0.35, volume: 0.35 });
+    this.playTone({ frequency: frequency * 2, duration: 0.25, volume: 0.1 });
+
+    if (grew) {
+      this.playTone({ frequency: frequency * 1.5, type: 'triangle', duration: 0.3, volume: 0.2, delay: 0.08 });
+    }
+  }
+
+  /**
+   * Handle a power-up activating: a quick sparkle
+   */
+  handlePowerUp() {
+    [12, 16, 19, 24].forEach((semitones, index) => {
+      this.playTone({
+        frequency: GAME_CONFIG.AUDIO_BASE_NOTE_HZ * Math.pow(2, semitones / 12) / 2,
+        duration: 0.12,
+        volume: 0.15,
+        delay: 0.05 + index * 0.04
+      });
+    });
+  }
+
+  /**
+   * Play one click of the latency calibration metronome
+   */
+  playBeat() {
+    if (!this.canPlay()) return;
+
+    this.playTone({ frequency: GAME_CONFIG.AUDIO_BASE_NOTE_HZ * 4, type: 'square', duration: 0.05, volume: 0.3 });
+  }
+
+  /**
+   * Handle the moving block lining up with the one below: a soft tick, if
+   * the player turned the cue on
+   */
+  handleAligned() {
+    if (!settings.get('alignCue')) return;
+
+    this.playTone({ frequency: GAME_CONFIG.AUDIO_BASE_NOTE_HZ * 2, duration: 0.06, volume: 0.2 });
+  }
+
+  /**
+   * Handle a complete miss: a falling buzz
+   */
+  handleMiss() {
+    this.playTone({ frequency: 220, endFrequency: 55, type: 'sawtooth', duration: 0.45, volume: 0.2 });
+  }
+
+  /**
+   * Handle the end of a run: a short falling phrase
+   */
+  handleGameOver() {
+    [7, 3, 0].forEach((semitones, index) => {
+      this.playTone({
+        frequency: GAME_CONFIG.AUDIO_BASE_NOTE_HZ * Math.pow(2, semitones / 12) / 2,
+        type: 'triangle',
+        duration: 0.3,
+        volume: 0.3,
+        delay: 0.35 + index * 0.18
+      });
+    });
+  }
+
+  /**
+   * Release listeners and the audio context
+   */
+  dispose() {
+    if (this.scope) {
+      this.scope.dispose();
+      this.scope = null;
+    }
+    window.removeEventListener('pointerdown', this.unlock);
+    window.removeEventListener('keydown', this.unlock);
+
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+    }
+  }
+}
@@ -0,0 +1,299 @@
+import { GAME_CONFIG, GAME_MODES } from '../config/game_config.js';
+import { gameEvents, EVENTS } from './event_system.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+/**
+ * Tunable GAME_CONFIG values, keyed by the short name used in URLs and the
+ * console API. `type` is 'number', 'integer' or 'chances' (an object of numbers keyed
+ * by game mode); values outside [min, max] are rejected.
+ * Values read once per run (box size, tolerances) take effect from the next run.
+ */
+export const CONFIG_SCHEMA = {
+  speed: { key: 'MOVEMENT_SPEED', type: 'number', min: 0.001, max: 0.05 },
+  boxSize: { key: 'ORIGINAL_BOX_SIZE', type: 'number', min: 0.5, max: 10 },
+  boxHeight: { key: 'BOX_HEIGHT', type: 'number', min: 0.1, max: 5 },
+  stepMs: { key: 'SIMULATION_STEP_MS', type: 'number', min: 4, max: 50 },
+  maxRewind: { key: 'INPUT_MAX_REWIND_MS', type: 'number', min: 0, max: 500 },
+  gravity: { key: 'GRAVITY', type: 'number', min: -50, max: 0 },
+  solverIterations: { key: 'SOLVER_ITERATIONS', type: 'integer', min: 1, max: 100 },
+  fallMass: { key: 'BOX_FALL_MASS', type: 'number', min: 0.1, max: 100 },
+  cameraWidth: { key: 'CAMERA_WIDTH', type: 'number', min: 2, max: 40 },
+  cameraFollowSpeed: { key: 'CAMERA_FOLLOW_SPEED', type: 'number', min: 0.001, max: 1 },
+  easeZone: { key: 'OSCILLATION_EASE_ZONE', type: 'number', min: 0, max: 0.5 },
+  easeMinSpeed: { key: 'OSCILLATION_EASE_MIN_SPEED', type: 'number', min: 0.05, max: 1 },
+  perfectTolerance: { key: 'PERFECT_TOLERANCE', type: 'number', min: 0, max: 1 },
+  comboRegrowThreshold: { key: 'COMBO_REGROW_THRESHOLD', type: 'integer', min: 1, max: 50 },
+  comboRegrowAmount: { key: 'COMBO_REGROW_AMOUNT', type: 'number', min: 0, max: 5 },
+  powerUpChance: { key: 'POWER_UP_CHANCE', type: 'chances', min: 0, max: 1 },
+  powerUpMinOverlap: { key: 'POWER_UP_MIN_OVERLAP', type: 'number', min: 0, max: 1 },
+  slowDuration: { key: 'POWER_UP_SLOW_DURATION', type: 'number', min: 100, max: 60000 },
+  slowFactor: { key: 'POWER_UP_SLOW_FACTOR', type: 'number', min: 0.05, max: 1 },
+  widenAmount: { key: 'POWER_UP_WIDEN_AMOUNT', type: 'number', min: 0, max: 5 },
+  robotPrecision: { key: 'ROBOT_PRECISION_RANGE', type: 'number', min: 0, max: 3 },
+  shakeStrength: { key: 'EFFECTS_SHAKE_STRENGTH', type: 'number', min: 0, max: 1 }
+};
+
+/**
+ * Check a raw value against a schema entry
+ * @param {Object} entry - CONFIG_SCHEMA entry
+ * @param {*} raw - Number, or string from a URL
+ * @returns {number|Object|null} The parsed value, or null if invalid
+ */
+function parseValue(entry, raw) {
+  if (entry.type === 'chances') {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const modes = Object.values(GAME_MODES);
+    const isValid = Object.entries(raw).every(([mode, chance]) =>
+      modes.includes(mode) && parseValue({ type: 'number', min: entry.min, max: entry.max }, chance) !== null
+    );
+    return isValid ? { ...raw } : null;
+  }
+
+  const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  if (entry.type === 'integer' && !Number.isInteger(value)) return null;
+  if (value < entry.min || value > entry.max) return null;
+  return value;
+}
+
+/**
+ * Describe what a schema entry accepts, for error messages
+ * @param {Object} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  if (entry.type === 'chances') {
+    return `an object of chances between ${entry.min} and ${entry.max} keyed by game mode`;
+  }
+  const kind = entry.type === 'integer' ? 'an integer' : 'a number';
+  return `${kind} between ${entry.min} and ${entry.max}`;
+}
+
+/**
+ * Layers saved and URL overrides on top of the GAME_CONFIG defaults.
+ * GAME_CONFIG is updated in place so existing imports see the new values;
+ * listeners hear about each change through CONFIG_CHANGED.
+ */
+export class ConfigService {
+  constructor(storageKey = GAME_CONFIG.CONFIG_STORAGE_KEY, schema = CONFIG_SCHEMA) {
+    this.storageKey = storageKey;
+    this.schema = schema;
+    this.defaults = Object.fromEntries(
+      Object.values(schema).map(({ key }) => [key, GAME_CONFIG[key]])
+    );
+    this.saved = {};
+    this.url = {};
+    this.errors = [];
+  }
+
+  /**
+   * Apply saved overrides, then URL overrides, which win
+   * @param {string} search - Query string such as `?speed=0.012&boxSize=4`
+   */
+  load(search = '') {
+    this.errors = [];
+
+    const saved = loadJSON(this.storageKey, {});
+    this.saved = this.collect(saved && typeof saved === 'object' ? Object.entries(saved) : [], 'saved');
+    // Other query parameters belong to other features; only known names are config
+    const params = [...new URLSearchParams(search)].filter(([name]) => Object.hasOwn(this.schema, name));
+    this.url = this.collect(params, 'URL');
+
+    Object.keys(this.schema).forEach(name => this.apply(name));
+  }
+
+  /**
+   * Validate name/value pairs from one source, recording anything rejected
+   * @param {Array[]} pairs - [name, raw value] pairs
+   * @param {string} source - Where the values came from, for error messages
+   * @returns {Object} Valid values by name
+   */
+  collect(pairs, source) {
+    const values = {};
+    pairs.forEach(([name, raw]) => {
+      const error = this.validate(name, raw);
+      if (error) {
+        const kept = Object.hasOwn(this.schema, name) ? `; keeping ${JSON.stringify(this.get(name))}` : '';
+        this.report(`${source} config: ${error}${kept}`);
+        return;
+      }
+      values[name] = this.parse(name, raw);
+    });
+    return values;
+  }
+
+  /**
+   * Check a value for a config name
+   * @param {string} name
+   * @param {*} raw
+   * @returns {string|null} An error message, or null if the value is acceptable
+   */
+  validate(name, raw) {
+    const entry = Object.hasOwn(this.schema, name) ? this.schema[name] : null;
+    if (!entry) {
+      return `unknown option "${name}" (known: ${Object.keys(this.schema).join(', ')})`;
+    }
+    if (parseValue(entry, raw) === null) {
+      return `"${name}" must be ${describeEntry(entry)}, got ${JSON.stringify(raw)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a value for a config name; call validate first for the reason it may fail
+   * @param {string} name
+   * @param {*} raw
+   * @returns {number|Object|null} The parsed value, or null if invalid
+   */
+  parse(name, raw) {
+    return Object.hasOwn(this.schema, name) ? parseValue(this.schema[name], raw) : null;
+  }
+
+  /**
+   * Record and log a rejected value
+   * @param {string} message
+   */
+  report(message) {
+    this.errors.push(message);
+    console.warn(message);
+  }
+
+  /**
+   * Find the schema name for a GAME_CONFIG key
+   * @param {string} key
+   * @returns {string|undefined}
+   */
+  findName(key) {
+    return Object.keys(this.schema).find(name => this.schema[name].key === key);
+  }
+
+  /**
+   * Get the value currently in effect
+   * @param {string} name
+   * @returns {number}
+   */
+  get(name) {
+    return Object.hasOwn(this.schema, name) ? GAME_CONFIG[this.schema[name].key] : undefined;
+  }
+
+  /**
+   * Change a value at runtime and remember it for later sessions.
+   * A URL override for the same option still wins until the page is reloaded without it.
+   * @param {string} name
+   * @param {*} value
+   * @throws {Error} If the name is unknown or the value out of range
+   */
+  set(name, value) {
+    const error = this.validate(name, value);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.saved[name] = this.parse(name, value);
+    saveJSON(this.storageKey, this.saved);
+    this.apply(name);
+  }
+
+  /**
+   * Drop the saved override for one value, or for all of them
+   * @param {string} [name]
+   */
+  reset(name) {
+    const names = name === undefined ? Object.keys(this.saved) : [name];
+    names.forEach(key => delete this.saved[key]);
+    saveJSON(this.storageKey, this.saved);
+    names.forEach(key => this.apply(key));
+  }
+
+  /**
+   * Write the effective value for a name into GAME_CONFIG, notifying on change
+   * @param {string} name
+   */
+  apply(name) {
+    if (!Object.hasOwn(this.schema, name)) return;
+    
+    const entry = this.schema[name];
+    const value = this.url[name] ?? this.saved[name] ?? this.defaults[entry.key];
+    this.write({ [entry.key]: value });
+  }
+
+  /**
+   * Swap in GAME_CONFIG values for a while without persisting them, such as a
+   * replay's recorded config. Every value must pass the same checks as `set`.
+   * @param {Object} values - Values keyed by GAME_CONFIG key
+   * @throws {Error} If a key is not in the schema or a value is out of range; nothing is written
+   */
+  assign(values) {
+    const parsed = {};
+    Object.entries(values).forEach(([key, raw]) => {
+      const name = this.findName(key);
+      if (!name) {
+        throw new Error(`"${key}" is not a configurable value`);
+      }
+      const error = this.validate(name, raw);
+      if (error) {
+        throw new Error(error);
+      }
+      parsed[key] = this.parse(name, raw);
+    });
+    this.write(parsed);
+  }
+
+  /**
+   * Put back a snapshot taken from GAME_CONFIG before `assign`
+   * @param {Object} snapshot - Values keyed by GAME_CONFIG key
+   */
+  restore(snapshot) {
+    this.write(snapshot);
+  }
+
+  /**
+   * Write GAME_CONFIG values as given, notifying on each change
+   * @param {Object} values - Values keyed by GAME_CONFIG key
+   */
+  write(values) {
+    Object.entries(values).forEach(([key, value]) => {
+      const previous = GAME_CONFIG[key];
+      if (value === previous) return;
+
+      GAME_CONFIG[key] = value;
+      const name = this.findName(key);
+      gameEvents.emit(EVENTS.CONFIG_CHANGED, { name, key, value, previous });
+    });
+  }
+
+  /**
+   * Get the built-in value of every configurable option
+   * @returns {Object} Values keyed by GAME_CONFIG key
+   */
+  getDefaults() {
+    return { ...this.defaults };
+  }
+
+  /**
+   * Get every value that differs from its default, with where it came from
+   * @returns {Object} { name: { value, source } }
+   */
+  getOverrides() {
+    const overrides = {};
+    Object.keys(this.schema).forEach(name => {
+      if (name in this.url) {
+        overrides[name] = { value: this.url[name], source: 'url' };
+      } else if (name in this.saved) {
+        overrides[name] = { value: this.saved[name], source: 'saved' };
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * Get the messages for values rejected by the last load
+   * @returns {string[]}
+   */
+  getErrors() {
+    return [...this.errors];
+  }
+}
+
+// Global config service instance
+export const configService = new ConfigService();
@@ -1,53 +1,217 @@
+// Emits kept by the trace buffer unless a size is given
+const DEFAULT_TRACE_SIZE = 200;
+
+/**
+ * Check if an event name is a wildcard pattern: `*` for everything, or `namespace:*`
+ * @param {string} eventName
+ * @returns {boolean}
+ */
+function isWildcard(eventName) {
+  return eventName === '*' || eventName.endsWith(':*');
+}
+
+/**
+ * Get the wildcard patterns an emitted event name matches, e.g. `block:*` and `*` for `block:cut`
+ * @param {string} eventName
+ * @returns {string[]}
+ */
+function getMatchingPatterns(eventName) {
+  const separator = eventName.indexOf(':');
+  return separator === -1 ? ['*'] : [`${eventName.slice(0, separator)}:*`, '*'];
+}
+
+/**
+ * Order listeners by priority, highest first, then by when they subscribed
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareListeners(a, b) {
+  return b.priority - a.priority || a.order - b.order;
+}
+
+/**
+ * Default error handler: log and keep the other listeners running
+ * @param {Error} error
+ * @param {Object} context - { eventName, data }
+ */
+function logListenerError(error, { eventName }) {
+  console.error(`Error in event listener for ${eventName}:`, error);
+}
+
 /**
- * Simple event system for decoupled communication between game components
+ * Event system for decoupled communication between game components.
+ * Event names are namespaced (`block:cut`); listening to `block:*` or `*`
+ * receives every matching event along with its name.
  */
 export class EventSystem {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onError - Called with (error, { eventName, data }) when a listener throws
+   */
+  constructor({ onError = logListenerError } = {}) {
     this.listeners = new Map();
+    this.onError = onError;
+    this.nextOrder = 0;
+    this.trace = null;
+    this.traceSize = 0;
   }
 
   /**
-   * Subscribe to an event
-   * @param {string} eventName 
-   * @param {Function} callback 
+   * Subscribe to an event or a wildcard pattern
+   * @param {string} eventName - Event name, `namespace:*` or `*`
+   * @param {Function} callback - Called with (data, eventName)
+   * @param {Object} options
+   * @param {number} options.priority - Higher runs first; equal priorities run in subscription order
+   * @param {boolean} options.once - Unsubscribe after the first call
    * @returns {Function} Unsubscribe function
    */
-  on(eventName, callback) {
+  on(eventName, callback, { priority = 0, once = false } = {}) {
     if (!this.listeners.has(eventName)) {
-      this.listeners.set(eventName, new Set());
+      this.listeners.set(eventName, []);
     }
     
-    this.listeners.get(eventName).add(callback);
+    const listener = { eventName, callback, priority, once, order: this.nextOrder++, isRemoved: false };
+    const eventListeners = this.listeners.get(eventName);
+    eventListeners.push(listener);
+    eventListeners.sort(compareListeners);
     
     // Return unsubscribe function
-    return () => {
-      this.listeners.get(eventName)?.delete(callback);
-    };
+    return () => this.removeListener(listener);
   }
 
   /**
-   * Emit an event to all subscribers
+   * Subscribe for a single call
+   * @param {string} eventName 
+   * @param {Function} callback 
+   * @param {Object} options - { priority }
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Drop one subscription
+   * @param {Object} listener 
+   */
+  removeListener(listener) {
+    listener.isRemoved = true;
+    
+    const eventListeners = this.listeners.get(listener.eventName);
+    if (!eventListeners) return;
+    
+    const index = eventListeners.indexOf(listener);
+    if (index !== -1) {
+      eventListeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to its subscribers and any matching wildcard subscribers
    * @param {string} eventName 
    * @param {*} data 
    */
   emit(eventName, data = null) {
-    const eventListeners = this.listeners.get(eventName);
-    if (eventListeners) {
-      eventListeners.forEach(callback => {
-        try {
-          callback(data);
-        } catch (error) {
-          console.error(`Error in event listener for ${eventName}:`, error);
-        }
-      });
+    if (this.trace) {
+      this.record(eventName, data);
+    }
+    
+    // Work on a copy so listeners can subscribe and unsubscribe while being called
+    const matching = [eventName, ...getMatchingPatterns(eventName)]
+      .flatMap(name => this.getListeners(name))
+      .sort(compareListeners);
+    
+    matching.forEach(listener => {
+      // Unsubscribed by an earlier listener during this emit
+      if (listener.isRemoved) return;
+      
+      if (listener.once) {
+        this.removeListener(listener);
+      }
+      
+      try {
+        listener.callback(data, eventName);
+      } catch (error) {
+        this.onError(error, { eventName, data });
+      }
+    });
+  }
+
+  /**
+   * Get the subscriptions for an event name or pattern
+   * @param {string} eventName 
+   * @returns {Object[]}
+   */
+  getListeners(eventName) {
+    return this.listeners.get(eventName) || [];
+  }
+
+  /**
+   * Replace the handler called when a listener throws
+   * @param {Function} onError - Called with (error, { eventName, data })
+   */
+  setErrorHandler(onError) {
+    this.onError = onError;
+  }
+
+  /**
+   * Create a child emitter whose subscriptions can be dropped together.
+   * It emits through this system.
+   * @returns {EventScope}
+   */
+  createScope() {
+    return new EventScope(this);
+  }
+
+  /**
+   * Start keeping the most recent emits for debugging
+   * @param {number} size - Number of emits to keep
+   */
+  enableTrace(size = DEFAULT_TRACE_SIZE) {
+    this.trace = [];
+    this.traceSize = size;
+  }
+
+  /**
+   * Stop tracing and drop the recorded emits
+   */
+  disableTrace() {
+    this.trace = null;
+    this.traceSize = 0;
+  }
+
+  /**
+   * Add an emit to the trace buffer, dropping the oldest when full
+   * @param {string} eventName 
+   * @param {*} data 
+   */
+  record(eventName, data) {
+    this.trace.push({ time: performance.now(), eventName, data });
+    if (this.trace.length > this.traceSize) {
+      this.trace.shift();
     }
   }
 
+  /**
+   * Get the recorded emits, oldest first
+   * @param {string} eventName - Optional name or wildcard pattern to filter by
+   * @returns {Object[]} { time, eventName, data } entries; time is in milliseconds from page load
+   */
+  getTrace(eventName = '*') {
+    if (!this.trace) return [];
+    
+    return this.trace.filter(entry =>
+      eventName === entry.eventName || (isWildcard(eventName) && getMatchingPatterns(entry.eventName).includes(eventName))
+    );
+  }
+
   /**
    * Remove all listeners for an event
    * @param {string} eventName 
    */
   removeAllListeners(eventName) {
+    this.getListeners(eventName).forEach(listener => { listener.isRemoved = true; });
     this.listeners.delete(eventName);
   }
 
@@ -55,21 +219,134 @@ export class EventSystem {
    * Clear all event listeners
    */
   clear() {
+    this.listeners.forEach(listeners => listeners.forEach(listener => { listener.isRemoved = true; }));
     this.listeners.clear();
   }
 }
 
+/**
+ * Subscriptions made through a parent event system that are torn down together,
+ * e.g. everything one component listens to. Nested scopes are disposed with their parent.
+ */
+export class EventScope {
+  /**
+   * @param {EventSystem|EventScope} parent
+   */
+  constructor(parent) {
+    this.parent = parent;
+    this.unsubscribers = [];
+    this.children = [];
+  }
+
+  /**
+   * Subscribe through the parent
+   * @param {string} eventName 
+   * @param {Function} callback 
+   * @param {Object} options - { priority, once }
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, callback, options) {
+    const unsubscribe = this.parent.on(eventName, callback, options);
+    this.unsubscribers.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Subscribe through the parent for a single call
+   * @param {string} eventName 
+   * @param {Function} callback 
+   * @param {Object} options - { priority }
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, callback, options = {}) {
+    return this.on(eventName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Emit through the parent
+   * @param {string} eventName 
+   * @param {*} data 
+   */
+  emit(eventName, data = null) {
+    this.parent.emit(eventName, data);
+  }
+
+  /**
+   * Create a nested scope disposed along with this one
+   * @returns {EventScope}
+   */
+  createScope() {
+    const child = new EventScope(this);
+    this.children.push(child);
+    return child;
+  }
+
+  /**
+   * Drop every subscription made through this scope and its children
+   */
+  dispose() {
+    [...this.children].forEach(child => child.dispose());
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    if (this.parent instanceof EventScope) {
+      this.parent.children = this.parent.children.filter(child => child !== this);
+    }
+  }
+}
+
 // Global event system instance
 export const gameEvents = new EventSystem();
 
-// Event constants
+// Event constants, namespaced so related events can be heard with `namespace:*`
 export const EVENTS = {
-  GAME_START: 'game_start',
-  GAME_OVER: 'game_over',
-  GAME_RESET: 'game_reset',
-  SCORE_UPDATE: 'score_update',
-  BLOCK_PLACED: 'block_placed',
-  BLOCK_MISSED: 'block_missed',
-  LAYER_ADDED: 'layer_added',
-  WINDOW_RESIZE: 'window_resize'
-};
\ No newline at end of file
+  GAME_START: 'game:start',
+  GAME_OVER: 'game:over',
+  GAME_RESET: 'game:reset',
+  GAME_PAUSED: 'game:paused',
+  GAME_RESUMED: 'game:resumed',
+  RUN_RESTORED: 'game:restored',
+  SCORE_UPDATE: 'score:update',
+  BLOCK_PLACED: 'block:placed',
+  BLOCK_DROPPED: 'block:dropped',
+  PLACEMENT_MADE: 'block:placement',
+  BLOCK_ALIGNED: 'block:aligned',
+  BLOCK_MISSED: 'block:missed',
+  BLOCK_CUT: 'block:cut',
+  BLOCK_CHANGED: 'block:changed',
+  BLOCK_REMOVED: 'block:removed',
+  PERFECT_PLACEMENT: 'block:perfect',
+  LAYER_ADDED: 'stack:layer_added',
+  OVERHANG_ADDED: 'stack:overhang_added',
+  STACK_CLEARED: 'stack:cleared',
+  COMBO_CHANGED: 'combo:changed',
+  COMBO_BROKEN: 'combo:broken',
+  WINDOW_RESIZE: 'window:resize',
+  PAUSE_REQUESTED: 'pause:requested',
+  RESUME_REQUESTED: 'pause:resume_requested',
+  RESUME_CONFIRMED: 'pause:resume_confirmed',
+  SETTINGS_CHANGED: 'settings:changed',
+  SETTINGS_CLOSED: 'settings:closed',
+  INPUT_ACTION: 'input:action',
+  INPUT_BINDINGS_CHANGED: 'input:bindings_changed',
+  GAMEPADS_CHANGED: 'input:gamepads_changed',
+  CONFIG_CHANGED: 'config:changed',
+  THEME_LOADED: 'theme:loaded',
+  REPLAY_STARTED: 'replay:started',
+  REPLAY_STATE_CHANGED: 'replay:state_changed',
+  REPLAY_SEEKING: 'replay:seeking',
+  REPLAY_STOPPED: 'replay:stopped',
+  VERSUS_STARTED: 'versus:started',
+  VERSUS_ROUND_STARTED: 'versus:round_started',
+  VERSUS_FINISHED: 'versus:finished',
+  VERSUS_STOPPED: 'versus:stopped',
+  DAILY_STARTED: 'daily:started',
+  DAILY_FINISHED: 'daily:finished',
+  POWER_UP_ACTIVATED: 'power_up:activated',
+  POWER_UP_LOST: 'power_up:lost',
+  POWER_UP_EXPIRED: 'power_up:expired',
+  POWER_UPS_CHANGED: 'power_up:changed',
+  AUTOPILOT_HINT: 'autopilot:hint',
+  RUN_STATS_READY: 'stats:run_ready',
+  SAVE_CHANGED: 'save:changed'
+};
@@ -0,0 +1,383 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { INPUT_ACTIONS, INPUT_ACTION_INFO, DEFAULT_BINDINGS } from '../config/input_bindings.js';
+import { gameEvents, EVENTS } from './event_system.js';
+import { loadJSON, saveJSON } from './storage.js';
+
+export const BINDINGS_SCHEMA_VERSION = 1;
+
+// Names of the standard gamepad layout's buttons, by index
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+
+// Keys that keep their usual job while a binding is being captured
+const UNBINDABLE_KEYS = ['Tab'];
+
+/**
+ * Describe a key for display
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string}
+ */
+export function formatKey(code) {
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Arrow')) return { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' }[code];
+  return code;
+}
+
+/**
+ * Describe a gamepad button for display
+ * @param {number} button - Standard layout index
+ * @returns {string}
+ */
+export function formatButton(button) {
+  return BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+/**
+ * Copy bindings so callers can't change the stored ones in place
+ * @param {Object} bindings
+ * @returns {Object}
+ */
+function copyBindings(bindings) {
+  const copy = {};
+  Object.entries(bindings).forEach(([action, { keys, buttons }]) => {
+    copy[action] = { keys: [...keys], buttons: [...buttons] };
+  });
+  return copy;
+}
+
+/**
+ * Check that a stored binding has the inputs it needs with sane types
+ * @param {*} binding
+ * @returns {boolean}
+ */
+function isValidBinding(binding) {
+  return Boolean(binding) &&
+    Array.isArray(binding.keys) && binding.keys.every(key => typeof key === 'string' && key !== '') &&
+    Array.isArray(binding.buttons) && binding.buttons.every(button => Number.isInteger(button) && button >= 0);
+}
+
+/**
+ * The player's key and gamepad button for each action, kept in storage
+ */
+export class InputBindings {
+  constructor(storageKey = GAME_CONFIG.INPUT_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.bindings = copyBindings(DEFAULT_BINDINGS);
+    this.isReadOnly = false;
+  }
+
+  /**
+   * Load bindings from storage; actions with bad or missing data keep their defaults
+   */
+  load() {
+    const data = loadJSON(this.storageKey);
+    this.bindings = copyBindings(DEFAULT_BINDINGS);
+
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      if (data !== null) {
+        console.warn('Input bindings are unrecognized, using defaults');
+      }
+      return;
+    }
+
+    if (data.version > BINDINGS_SCHEMA_VERSION) {
+      // Written by a newer build: use nothing, overwrite nothing
+      console.warn(`Input bindings schema v${data.version} is newer than supported v${BINDINGS_SCHEMA_VERSION}`);
+      this.isReadOnly = true;
+      return;
+    }
+
+    const saved = data.bindings || {};
+    Object.keys(this.bindings).forEach(action => {
+      if (isValidBinding(saved[action])) {
+        this.bindings[action] = copyBindings({ [action]: saved[action] })[action];
+      }
+    });
+  }
+
+  /**
+   * Write bindings to storage
+   */
+  save() {
+    if (this.isReadOnly) return;
+
+    saveJSON(this.storageKey, {
+      version: BINDINGS_SCHEMA_VERSION,
+      bindings: this.bindings
+    });
+  }
+
+  /**
+   * Get the inputs bound to an action
+   * @param {string} action - One of INPUT_ACTIONS
+   * @returns {Object} { keys, buttons }
+   */
+  get(action) {
+    return this.bindings[action];
+  }
+
+  /**
+   * Find every action an input triggers
+   * @param {string} kind - 'keys' or 'buttons'
+   * @param {string|number} input - Key code or button index
+   * @returns {string[]}
+   */
+  findActions(kind, input) {
+    return Object.keys(this.bindings).filter(action => this.bindings[action][kind].includes(input));
+  }
+
+  /**
+   * Bind a key or a button to an action, replacing the action's previous
+   * ones of that kind and taking it from other actions in the same group
+   * @param {string} action - One of INPUT_ACTIONS
+   * @param {Object} input - { key } or { button }
+   */
+  bind(action, input) {
+    const kind = 'key' in input ? 'keys' : 'buttons';
+    const value = 'key' in input ? input.key : input.button;
+    const group = INPUT_ACTION_INFO[action].group;
+
+    Object.keys(this.bindings).forEach(other => {
+      if (other !== action && INPUT_ACTION_INFO[other].group === group) {
+        this.bindings[other][kind] = this.bindings[other][kind].filter(bound => bound !== value);
+      }
+    });
+    this.bindings[action][kind] = [value];
+
+    this.save();
+    gameEvents.emit(EVENTS.INPUT_BINDINGS_CHANGED, { action });
+  }
+
+  /**
+   * Go back to the default bindings
+   */
+  reset() {
+    this.bindings = copyBindings(DEFAULT_BINDINGS);
+    this.save();
+    gameEvents.emit(EVENTS.INPUT_BINDINGS_CHANGED, { action: null });
+  }
+}
+
+/**
+ * Turns keyboard, mouse, touch and gamepad input into actions. Each input
+ * that's bound to something emits INPUT_ACTION once; key repeats, held
+ * gamepad buttons and the mouse events browsers synthesize after a touch are
+ * dropped here so listeners never see them.
+ */
+export class InputManager {
+  /**
+   * @param {InputBindings} bindings
+   */
+  constructor(bindings) {
+    this.bindings = bindings;
+    // Button states from the last poll, by gamepad index
+    this.pressedButtons = new Map();
+    this.lastTouchTime = -Infinity;
+    // Callback waiting for the next key or button while a binding is being changed
+    this.capture = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handlePointer = this.handlePointer.bind(this);
+    this.handleGamepadChange = this.handleGamepadChange.bind(this);
+  }
+
+  /**
+   * Initialize input listeners
+   */
+  initialize() {
+    try {
+      this.setupEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize InputManager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('mousedown', this.handlePointer);
+    window.addEventListener('touchstart', this.handlePointer, { passive: false });
+    window.addEventListener('gamepadconnected', this.handleGamepadChange);
+    window.addEventListener('gamepaddisconnected', this.handleGamepadChange);
+  }
+
+  /**
+   * Check if a key event is typing into a text field
+   * @param {KeyboardEvent} event
+   * @returns {boolean}
+   */
+  isTextEntry(event) {
+    return event.target instanceof Element && event.target.matches('input[type="text"], textarea');
+  }
+
+  /**
+   * Check if focus is on a visible menu control rather than the game
+   * @returns {boolean}
+   */
+  isMenuFocused() {
+    const active = document.activeElement;
+    return active instanceof Element &&
+      active.closest('[data-ui-control]') !== null &&
+      active.getClientRects().length > 0;
+  }
+
+  /**
+   * Handle a key press
+   * @param {KeyboardEvent} event
+   */
+  handleKeyDown(event) {
+    if (this.capture && !UNBINDABLE_KEYS.includes(event.code)) {
+      event.preventDefault();
+      this.finishCapture(event.code === 'Escape' ? null : { key: event.code });
+      return;
+    }
+    if (event.repeat || this.isTextEntry(event)) return;
+
+    this.dispatch(this.bindings.findActions('keys', event.code), { source: 'keyboard', event });
+  }
+
+  /**
+   * Handle a click or tap, which always means place
+   * @param {MouseEvent|TouchEvent} event
+   */
+  handlePointer(event) {
+    if (event.changedTouches) {
+      this.lastTouchTime = event.timeStamp;
+    } else if (event.timeStamp - this.lastTouchTime < GAME_CONFIG.INPUT_TOUCH_MOUSE_GUARD_MS) {
+      // The mouse event a browser fires after a tap for pages that don't handle touch
+      return;
+    }
+    if (this.capture) return;
+
+    const points = event.changedTouches ? [...event.changedTouches] : [event];
+    points.forEach(point => {
+      this.emit(INPUT_ACTIONS.PLACE, { source: 'pointer', event, x: point.clientX });
+    });
+  }
+
+  /**
+   * Read every connected gamepad and act on buttons pressed since the last
+   * poll; called once per frame
+   */
+  pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+    [...navigator.getGamepads()].forEach(gamepad => {
+      if (!gamepad) return;
+
+      const previous = this.pressedButtons.get(gamepad.index) || [];
+      const pressed = gamepad.buttons.map(button => button.pressed);
+      pressed.forEach((isPressed, button) => {
+        if (isPressed && !previous[button]) {
+          this.handleButton(gamepad.index, button, gamepad.timestamp);
+        }
+      });
+      this.pressedButtons.set(gamepad.index, pressed);
+    });
+  }
+
+  /**
+   * Handle a gamepad button going down
+   * @param {number} gamepad - Gamepad index
+   * @param {number} button - Standard layout index
+   * @param {number} timeStamp - When the gamepad's state last changed
+   */
+  handleButton(gamepad, button, timeStamp) {
+    if (this.capture) {
+      this.finishCapture({ button });
+      return;
+    }
+
+    this.dispatch(this.bindings.findActions('buttons', button), { source: 'gamepad', gamepad, timeStamp });
+  }
+
+  /**
+   * Report a gamepad being plugged in or removed
+   * @param {GamepadEvent} event
+   */
+  handleGamepadChange(event) {
+    if (event.type === 'gamepaddisconnected') {
+      this.pressedButtons.delete(event.gamepad.index);
+    }
+    gameEvents.emit(EVENTS.GAMEPADS_CHANGED, { gamepads: this.getGamepadNames() });
+  }
+
+  /**
+   * Get the names of the connected gamepads
+   * @returns {string[]}
+   */
+  getGamepadNames() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+
+    return [...navigator.getGamepads()].filter(Boolean).map(gamepad => gamepad.id);
+  }
+
+  /**
+   * Emit the actions an input triggers. An input bound to both a game and a
+   * menu action does the menu one while a menu control has focus and the
+   * game one otherwise.
+   * @param {string[]} actions
+   * @param {Object} detail - { source, event, gamepad, timeStamp }
+   */
+  dispatch(actions, detail) {
+    if (actions.length === 0) return;
+
+    const preferredGroup = this.isMenuFocused() ? 'menu' : 'game';
+    const preferred = actions.filter(action => INPUT_ACTION_INFO[action].group === preferredGroup);
+    (preferred.length > 0 ? preferred : actions).forEach(action => this.emit(action, detail));
+  }
+
+  /**
+   * Emit one action. `timeStamp` is when the input happened, on the same clock
+   * as requestAnimationFrame; it defaults to the DOM event's.
+   * @param {string} action
+   * @param {Object} detail - { source, event, gamepad, x, timeStamp }
+   */
+  emit(action, { source, event = null, gamepad = null, x = null, timeStamp = event ? event.timeStamp : null }) {
+    gameEvents.emit(EVENTS.INPUT_ACTION, { action, source, event, gamepad, x, timeStamp });
+  }
+
+  /**
+   * Hand the next key or button press to a callback instead of acting on
+   * it; Escape cancels with null
+   * @param {Function} callback - Receives { key } or { button }, or null
+   */
+  captureNext(callback) {
+    this.cancelCapture();
+    this.capture = callback;
+  }
+
+  /**
+   * Stop waiting for a binding, telling the waiting callback
+   */
+  cancelCapture() {
+    if (this.capture) {
+      this.finishCapture(null);
+    }
+  }
+
+  /**
+   * Hand a captured input to the waiting callback
+   * @param {Object|null} input
+   */
+  finishCapture(input) {
+    const callback = this.capture;
+    this.capture = null;
+    callback(input);
+  }
+
+  /**
+   * Remove input listeners
+   */
+  dispose() {
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('mousedown', this.handlePointer);
+    window.removeEventListener('touchstart', this.handlePointer);
+    window.removeEventListener('gamepadconnected', this.handleGamepadChange);
+    window.removeEventListener('gamepaddisconnected', this.handleGamepadChange);
+    this.capture = null;
+  }
+}
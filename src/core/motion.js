@@ -0,0 +1,24 @@
+import { settings } from './settings.js';
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Get the system reduced-motion query if the environment has media queries
+ * @returns {MediaQueryList|null}
+ */
+function getMotionQuery() {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? window.matchMedia(REDUCED_MOTION_QUERY)
+    : null;
+}
+
+const motionQuery = getMotionQuery();
+
+/**
+ * Check if camera moves and effects should be toned down, either because the
+ * player asked for it or because the system prefers reduced motion
+ * @returns {boolean}
+ */
+export function isMotionReduced() {
+  return settings.get('reducedEffects') || Boolean(motionQuery && motionQuery.matches);
+}
@@ -7,6 +7,7 @@ import { GAME_CONFIG } from '../config/game_config.js';
 export class PhysicsManager {
   constructor() {
     this.world = null;
+    this.groundBody = null;
     this.isInitialized = false;
   }
 
@@ -16,9 +17,12 @@ export class PhysicsManager {
   initialize() {
     try {
       this.world = new CANNON.World();
-      this.world.gravity.set(0, GAME_CONFIG.GRAVITY, 0);
-      this.world.broadphase = new CANNON.NaiveBroadphase();
-      this.world.solver.iterations = GAME_CONFIG.SOLVER_ITERATIONS;
+      // Sweep and prune along the tower's height, where bodies are spread out most
+      this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+      this.world.broadphase.axisIndex = 1;
+      this.world.allowSleep = true;
+      this.applyWorldConfig();
+      this.createGround();
       this.isInitialized = true;
     } catch (error) {
       console.error('Failed to initialize PhysicsManager:', error);
@@ -26,6 +30,27 @@ export class PhysicsManager {
     }
   }
 
+  /**
+   * Copy gravity and solver settings from GAME_CONFIG into the world
+   */
+  applyWorldConfig() {
+    if (!this.world) return;
+
+    this.world.gravity.set(0, GAME_CONFIG.GRAVITY, 0);
+    this.world.solver.iterations = GAME_CONFIG.SOLVER_ITERATIONS;
+  }
+
+  /**
+   * Add the static floor under the base block that debris lands and piles on
+   */
+  createGround() {
+    this.groundBody = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+    // Planes face +z; turn it to face up
+    this.groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+    this.groundBody.position.set(0, -GAME_CONFIG.BOX_HEIGHT / 2, 0);
+    this.world.addBody(this.groundBody);
+  }
+
   /**
    * Create a physics body for a box
    * @param {number} x - X position
@@ -53,7 +78,12 @@ export class PhysicsManager {
       mass *= depth / GAME_CONFIG.ORIGINAL_BOX_SIZE;
     }
     
-    const body = new CANNON.Body({ mass, shape });
+    const body = new CANNON.Body({
+      mass,
+      shape,
+      sleepSpeedLimit: GAME_CONFIG.OVERHANG_SLEEP_SPEED,
+      sleepTimeLimit: GAME_CONFIG.OVERHANG_SLEEP_TIME
+    });
     body.position.set(x, y, z);
     
     this.world.addBody(body);
@@ -70,6 +100,14 @@ export class PhysicsManager {
     }
   }
 
+  /**
+   * Get the number of bodies in the world, the ground included
+   * @returns {number}
+   */
+  getBodyCount() {
+    return this.world ? this.world.bodies.length : 0;
+  }
+
   /**
    * Update physics simulation
    * @param {number} deltaTime - Time step in milliseconds
@@ -99,14 +137,14 @@ export class PhysicsManager {
   }
 
   /**
-   * Clear all bodies from the physics world
+   * Clear all block bodies from the physics world, keeping the ground
    */
   clearBodies() {
     if (!this.world) return;
     
-    while (this.world.bodies.length > 0) {
-      this.world.removeBody(this.world.bodies[0]);
-    }
+    this.world.bodies
+      .filter(body => body !== this.groundBody)
+      .forEach(body => this.world.removeBody(body));
   }
 
   /**
@@ -114,6 +152,8 @@ export class PhysicsManager {
    */
   dispose() {
     this.clearBodies();
+    this.removeBody(this.groundBody);
+    this.groundBody = null;
     this.world = null;
     this.isInitialized = false;
   }
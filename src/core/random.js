@@ -0,0 +1,96 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ * Every piece of game logic that needs randomness should draw from an
+ * instance of this class so a run can be reproduced from its seed.
+ */
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit unsigned seed
+   */
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = 0;
+    this.state = 0;
+    this.setSeed(seed);
+  }
+
+  /**
+   * Create a fresh seed from the platform's non-deterministic source
+   * @returns {number}
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Hash a string into a seed (FNV-1a), so names and dates map to stable sequences
+   * @param {string} text
+   * @returns {number}
+   */
+  static hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let index = 0; index < text.length; index++) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Reset the generator to the start of a seed's sequence
+   * @param {number} seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next number in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get a number in [min, max)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get a normally distributed number (Box-Muller)
+   * @param {number} mean
+   * @param {number} deviation - Standard deviation
+   * @returns {number}
+   */
+  normal(mean = 0, deviation = 1) {
+    const u = 1 - this.next();
+    const v = this.next();
+    return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Get the internal state so the sequence can be resumed later
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore a state captured with getState
+   * @param {number} state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
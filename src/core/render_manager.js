@@ -1,26 +1,24 @@
 import * as THREE from 'three';
-import { GAME_CONFIG } from '../config/game_config.js';
+import { RenderView, FULL_VIEWPORT } from './render_view.js';
 
 /**
- * Manages Three.js rendering setup and operations
+ * Owns the WebGL renderer and draws each visible view into its part of the canvas
  */
 export class RenderManager {
   constructor() {
-    this.camera = null;
-    this.scene = null;
     this.renderer = null;
+    this.views = [];
+    this.mainView = null;
     this.isInitialized = false;
   }
 
   /**
-   * Initialize the renderer, scene, and camera
+   * Initialize the renderer and the full-screen main view
    */
   initialize() {
     try {
-      this.createScene();
-      this.createCamera();
       this.createRenderer();
-      this.setupLighting();
+      this.mainView = this.createView(FULL_VIEWPORT);
       this.isInitialized = true;
     } catch (error) {
       console.error('Failed to initialize RenderManager:', error);
@@ -28,197 +26,107 @@ export class RenderManager {
     }
   }
 
-  /**
-   * Create the Three.js scene
-   */
-  createScene() {
-    this.scene = new THREE.Scene();
-  }
-
-  /**
-   * Create and configure the orthographic camera
-   */
-  createCamera() {
-    const aspect = window.innerWidth / window.innerHeight;
-    const width = GAME_CONFIG.CAMERA_WIDTH;
-    const height = width / aspect;
-
-    this.camera = new THREE.OrthographicCamera(
-      width / -2,
-      width / 2,
-      height / 2,
-      height / -2,
-      0,
-      100
-    );
-
-    this.camera.position.set(4, 4, 4);
-    this.camera.lookAt(0, 0, 0);
-  }
-
   /**
    * Create and configure the WebGL renderer
    */
   createRenderer() {
-    this.renderer = new THREE.WebGLRenderer({ 
+    this.renderer = new THREE.WebGLRenderer({
       antialias: true,
-      alpha: true 
+      alpha: true
     });
-    
+
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.renderer.shadowMap.enabled = true;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    
+    // Count draw calls over all views of a frame, not just the last one
+    this.renderer.info.autoReset = false;
+
     document.body.appendChild(this.renderer.domElement);
   }
 
   /**
-   * Setup scene lighting
+   * Add a view drawn into part of the canvas
+   * @param {Object} viewport - { x, y, width, height } as fractions of the canvas, origin bottom-left
+   * @returns {RenderView}
    */
-  setupLighting() {
-    // Ambient light
-    const ambientLight = new THREE.AmbientLight(
-      0xffffff, 
-      GAME_CONFIG.AMBIENT_LIGHT_INTENSITY
-    );
-    this.scene.add(ambientLight);
-
-    // Directional light
-    const directionalLight = new THREE.DirectionalLight(
-      0xffffff, 
-      GAME_CONFIG.DIRECTIONAL_LIGHT_INTENSITY
-    );
-    
-    const lightPos = GAME_CONFIG.DIRECTIONAL_LIGHT_POSITION;
-    directionalLight.position.set(lightPos.x, lightPos.y, lightPos.z);
-    directionalLight.castShadow = true;
-    
-    // Configure shadow properties
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
-    directionalLight.shadow.camera.near = 0.5;
-    directionalLight.shadow.camera.far = 500;
-    
-    this.scene.add(directionalLight);
+  createView(viewport) {
+    const view = new RenderView(viewport);
+    view.initialize();
+    view.resize(window.innerWidth, window.innerHeight);
+    this.views.push(view);
+    return view;
   }
 
   /**
-   * Render the scene
+   * Remove a view and dispose its scene
+   * @param {RenderView} view
    */
-  render() {
-    if (!this.isInitialized) {
-      console.warn('RenderManager not initialized');
-      return;
-    }
-    
-    this.renderer.render(this.scene, this.camera);
+  removeView(view) {
+    this.views = this.views.filter(candidate => candidate !== view);
+    view.dispose();
   }
 
   /**
-   * Handle window resize
+   * Render every visible view
+   * @param {number} alpha - Fraction of a simulation step elapsed, used to smooth the cameras
    */
-  handleResize() {
-    if (!this.camera || !this.renderer) return;
-
-    const aspect = window.innerWidth / window.innerHeight;
-    const width = GAME_CONFIG.CAMERA_WIDTH;
-    const height = width / aspect;
+  render(alpha = 1) {
+    if (!this.isInitialized) {
+      console.warn('RenderManager not initialized');
+      return;
+    }
 
-    this.camera.left = width / -2;
-    this.camera.right = width / 2;
-    this.camera.top = height / 2;
-    this.camera.bottom = height / -2;
-    this.camera.updateProjectionMatrix();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const visibleViews = this.views.filter(view => view.isVisible);
+    this.renderer.info.reset();
 
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
-  }
+    // Clip each view to its rectangle so backgrounds don't bleed into neighbours
+    this.renderer.setScissorTest(visibleViews.length > 1);
+    visibleViews.forEach(view => {
+      const rect = view.getPixelRect(width, height);
+      this.renderer.setViewport(rect.x, rect.y, rect.width, rect.height);
+      this.renderer.setScissor(rect.x, rect.y, rect.width, rect.height);
 
-  /**
-   * Update camera position for following the stack
-   * @param {number} targetY - Target Y position for camera
-   * @param {number} deltaTime - Time delta for smooth movement
-   */
-  updateCameraPosition(targetY, deltaTime) {
-    if (!this.camera) return;
-
-    const currentY = this.camera.position.y;
-    const minY = targetY + 4;
-    
-    if (currentY < minY) {
-      const speed = GAME_CONFIG.CAMERA_FOLLOW_SPEED;
-      this.camera.position.y += speed * deltaTime;
-    }
-  }
-
-  /**
-   * Reset camera to initial position
-   */
-  resetCamera() {
-    if (!this.camera) return;
-    
-    this.camera.position.set(4, 4, 4);
-    this.camera.lookAt(0, 0, 0);
+      view.updateCamera(alpha);
+      this.renderer.render(view.scene, view.camera);
+    });
   }
 
   /**
-   * Add object to scene
-   * @param {THREE.Object3D} object 
+   * Get the number of draw calls, shadow passes included, in the last frame
+   * @returns {number}
    */
-  addToScene(object) {
-    if (this.scene) {
-      this.scene.add(object);
-    }
+  getDrawCalls() {
+    return this.renderer ? this.renderer.info.render.calls : 0;
   }
 
   /**
-   * Remove object from scene
-   * @param {THREE.Object3D} object 
+   * Handle window resize
    */
-  removeFromScene(object) {
-    if (this.scene) {
-      this.scene.remove(object);
-    }
-  }
+  handleResize() {
+    if (!this.renderer) return;
 
-  /**
-   * Clear all meshes from scene
-   */
-  clearMeshes() {
-    if (!this.scene) return;
-    
-    const meshesToRemove = [];
-    this.scene.traverse((child) => {
-      if (child instanceof THREE.Mesh) {
-        meshesToRemove.push(child);
-      }
-    });
-    
-    meshesToRemove.forEach(mesh => {
-      this.scene.remove(mesh);
-      if (mesh.geometry) mesh.geometry.dispose();
-      if (mesh.material) {
-        if (Array.isArray(mesh.material)) {
-          mesh.material.forEach(material => material.dispose());
-        } else {
-          mesh.material.dispose();
-        }
-      }
-    });
+    this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.views.forEach(view => view.resize(window.innerWidth, window.innerHeight));
   }
 
   /**
    * Cleanup resources
    */
   dispose() {
+    this.views.forEach(view => view.dispose());
+    this.views = [];
+    this.mainView = null;
+
     if (this.renderer) {
       this.renderer.dispose();
       if (this.renderer.domElement.parentNode) {
         this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
       }
     }
-    
-    this.clearMeshes();
+
     this.isInitialized = false;
   }
-}
\ No newline at end of file
+}
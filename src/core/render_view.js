@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { isMotionReduced } from './motion.js';
+
+// Viewport covering the whole canvas
+export const FULL_VIEWPORT = { x: 0, y: 0, width: 1, height: 1 };
+
+/**
+ * One scene seen through one camera, drawn into a rectangle of the shared canvas.
+ * Each tower on screen has its own view.
+ */
+export class RenderView {
+  /**
+   * @param {Object} viewport - { x, y, width, height } as fractions of the canvas, origin bottom-left
+   */
+  constructor(viewport = FULL_VIEWPORT) {
+    this.viewport = { ...viewport };
+    this.camera = null;
+    this.scene = null;
+    this.ambientLight = null;
+    this.directionalLight = null;
+    this.ground = null;
+    this.cameraY = 4;
+    this.previousCameraY = 4;
+    this.cameraShake = { x: 0, y: 0 };
+    this.isVisible = true;
+  }
+
+  /**
+   * Create the scene, camera and lights
+   */
+  initialize() {
+    this.scene = new THREE.Scene();
+    this.createCamera();
+    this.setupLighting();
+    this.createGround();
+  }
+
+  /**
+   * Add the floor debris lands on. It only shows the shadows cast onto it,
+   * so every theme's background shows through.
+   */
+  createGround() {
+    const size = GAME_CONFIG.GROUND_SIZE;
+    this.ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(size, size),
+      new THREE.ShadowMaterial({ opacity: 0.2 })
+    );
+    this.ground.rotation.x = -Math.PI / 2;
+    this.ground.position.y = -GAME_CONFIG.BOX_HEIGHT / 2;
+    this.ground.receiveShadow = true;
+    this.scene.add(this.ground);
+  }
+
+  /**
+   * Create and configure the orthographic camera
+   */
+  createCamera() {
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 100);
+    this.camera.position.set(4, 4, 4);
+    this.camera.lookAt(0, 0, 0);
+  }
+
+  /**
+   * Setup scene lighting
+   */
+  setupLighting() {
+    // Ambient light
+    const ambientLight = new THREE.AmbientLight(
+      0xffffff,
+      GAME_CONFIG.AMBIENT_LIGHT_INTENSITY
+    );
+    this.scene.add(ambientLight);
+    this.ambientLight = ambientLight;
+
+    // Directional light
+    const directionalLight = new THREE.DirectionalLight(
+      0xffffff,
+      GAME_CONFIG.DIRECTIONAL_LIGHT_INTENSITY
+    );
+
+    const lightPos = GAME_CONFIG.DIRECTIONAL_LIGHT_POSITION;
+    directionalLight.position.set(lightPos.x, lightPos.y, lightPos.z);
+    directionalLight.castShadow = true;
+
+    // Configure shadow properties
+    directionalLight.shadow.mapSize.width = 2048;
+    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.camera.near = 0.5;
+    directionalLight.shadow.camera.far = 500;
+
+    this.scene.add(directionalLight);
+    this.directionalLight = directionalLight;
+  }
+
+  /**
+   * Get the view's rectangle in canvas pixels
+   * @param {number} canvasWidth
+   * @param {number} canvasHeight
+   * @returns {Object} { x, y, width, height }
+   */
+  getPixelRect(canvasWidth, canvasHeight) {
+    return {
+      x: Math.round(this.viewport.x * canvasWidth),
+      y: Math.round(this.viewport.y * canvasHeight),
+      width: Math.round(this.viewport.width * canvasWidth),
+      height: Math.round(this.viewport.height * canvasHeight)
+    };
+  }
+
+  /**
+   * Fit the camera frustum to the view's size on the canvas
+   * @param {number} canvasWidth
+   * @param {number} canvasHeight
+   */
+  resize(canvasWidth, canvasHeight) {
+    const { width: pixelWidth, height: pixelHeight } = this.getPixelRect(canvasWidth, canvasHeight);
+    const aspect = pixelWidth / Math.max(pixelHeight, 1);
+    const width = GAME_CONFIG.CAMERA_WIDTH;
+    const height = width / aspect;
+
+    this.camera.left = width / -2;
+    this.camera.right = width / 2;
+    this.camera.top = height / 2;
+    this.camera.bottom = height / -2;
+    this.camera.updateProjectionMatrix();
+  }
+
+  /**
+   * Apply a theme's background and lighting
+   * @param {Theme} theme
+   */
+  applyTheme(theme) {
+    const { ambient, directional } = theme.description.lighting;
+    this.scene.background = theme.background.clone();
+    this.ambientLight.color.set(ambient.color);
+    this.ambientLight.intensity = ambient.intensity;
+    this.directionalLight.color.set(directional.color);
+    this.directionalLight.intensity = directional.intensity;
+  }
+
+  /**
+   * Place the camera for this frame
+   * @param {number} alpha - Fraction of a simulation step elapsed, used to smooth the camera
+   */
+  updateCamera(alpha) {
+    this.camera.position.set(4, this.previousCameraY + (this.cameraY - this.previousCameraY) * alpha, 4);
+
+    // Shake in screen space so it reads the same from the isometric view
+    this.camera.translateX(this.cameraShake.x);
+    this.camera.translateY(this.cameraShake.y);
+  }
+
+  /**
+   * Update camera position for following the stack
+   * @param {number} targetY - Target Y position for camera
+   * @param {number} deltaTime - Time delta for smooth movement
+   */
+  updateCameraPosition(targetY, deltaTime) {
+    this.previousCameraY = this.cameraY;
+    const minY = targetY + 4;
+
+    if (this.cameraY >= minY) return;
+
+    if (isMotionReduced()) {
+      // Glide in and settle rather than climbing at full speed
+      const ease = Math.min(GAME_CONFIG.CAMERA_REDUCED_EASE * deltaTime, 1);
+      this.cameraY += (minY - this.cameraY) * ease;
+    } else {
+      this.cameraY += GAME_CONFIG.CAMERA_FOLLOW_SPEED * deltaTime;
+    }
+  }
+
+  /**
+   * Offset the camera from its follow position for this frame onwards
+   * @param {number} x - Screen-space horizontal offset in world units
+   * @param {number} y - Screen-space vertical offset in world units
+   */
+  setCameraShake(x, y) {
+    this.cameraShake.x = x;
+    this.cameraShake.y = y;
+  }
+
+  /**
+   * Reset camera to initial position
+   */
+  resetCamera() {
+    this.camera.position.set(4, 4, 4);
+    this.camera.lookAt(0, 0, 0);
+    this.cameraY = 4;
+    this.previousCameraY = 4;
+    this.setCameraShake(0, 0);
+  }
+
+  /**
+   * Add object to scene
+   * @param {THREE.Object3D} object
+   */
+  addToScene(object) {
+    this.scene.add(object);
+  }
+
+  /**
+   * Remove object from scene
+   * @param {THREE.Object3D} object
+   */
+  removeFromScene(object) {
+    this.scene.remove(object);
+  }
+
+  /**
+   * Remove and dispose every mesh in the scene
+   */
+  dispose() {
+    const meshesToRemove = [];
+    this.scene.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        meshesToRemove.push(child);
+      }
+    });
+
+    meshesToRemove.forEach(mesh => {
+      this.scene.remove(mesh);
+      if (mesh.geometry) mesh.geometry.dispose();
+      if (mesh.material) {
+        if (Array.isArray(mesh.material)) {
+          mesh.material.forEach(material => material.dispose());
+        } else {
+          mesh.material.dispose();
+        }
+      }
+    });
+  }
+}
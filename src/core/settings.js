@@ -0,0 +1,78 @@
+import { GAME_CONFIG, GAME_MODES } from '../config/game_config.js';
+import { gameEvents, EVENTS } from './event_system.js';
+import { loadJSON, saveJSON } from './storage.js';
+import { DEFAULT_DIFFICULTY } from '../config/difficulty_presets.js';
+import { DEFAULT_THEME } from '../config/theme_presets.js';
+import { DEFAULT_AUTOPILOT } from '../config/autopilot_presets.js';
+
+/**
+ * Default value for every user setting
+ */
+export const SETTINGS_DEFAULTS = {
+  resumeCountdown: true,
+  difficulty: DEFAULT_DIFFICULTY,
+  gameMode: GAME_MODES.CLASSIC,
+  masterVolume: 0.8,
+  sfxVolume: 1,
+  muted: false,
+  reducedEffects: false,
+  highContrast: false,
+  alignCue: false,
+  latencyOffsetMs: 0,
+  theme: DEFAULT_THEME,
+  autopilot: DEFAULT_AUTOPILOT,
+  coach: false
+};
+
+/**
+ * Persistent user preferences
+ */
+export class Settings {
+  constructor(storageKey = GAME_CONFIG.SETTINGS_STORAGE_KEY, defaults = SETTINGS_DEFAULTS) {
+    this.storageKey = storageKey;
+    this.defaults = defaults;
+    this.values = { ...defaults };
+  }
+
+  /**
+   * Load saved values, ignoring unknown keys and values of the wrong type
+   */
+  load() {
+    const saved = loadJSON(this.storageKey, {});
+    if (!saved || typeof saved !== 'object') return;
+
+    Object.keys(this.defaults).forEach(key => {
+      if (key in saved && typeof saved[key] === typeof this.defaults[key]) {
+        this.values[key] = saved[key];
+      }
+    });
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change a setting, persist it and notify listeners
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    if (!(key in this.defaults)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    if (this.values[key] === value) return;
+
+    this.values[key] = value;
+    saveJSON(this.storageKey, this.values);
+    gameEvents.emit(EVENTS.SETTINGS_CHANGED, { key, value });
+  }
+}
+
+// Global settings instance
+export const settings = new Settings();
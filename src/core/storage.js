@@ -0,0 +1,99 @@
+/**
+ * Thin wrapper around localStorage that never throws.
+ * Private browsing, disabled storage, quota errors and corrupted JSON
+ * all degrade to the fallback value so the game keeps running.
+ */
+
+/**
+ * Get localStorage if the environment provides a usable one
+ * @returns {Storage|null}
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    // Accessing localStorage throws when storage is blocked
+    return null;
+  }
+}
+
+/**
+ * Read a raw string value
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function loadString(key) {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    return storage.getItem(key);
+  } catch (error) {
+    console.warn(`Failed to read "${key}" from storage:`, error);
+    return null;
+  }
+}
+
+/**
+ * Write a raw string value
+ * @param {string} key
+ * @param {string} value
+ * @returns {boolean} Whether the value was stored
+ */
+export function saveString(key, value) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to write "${key}" to storage:`, error);
+    return false;
+  }
+}
+
+/**
+ * Read and parse a JSON value
+ * @param {string} key
+ * @param {*} fallback - Returned when the key is missing or unreadable
+ * @returns {*}
+ */
+export function loadJSON(key, fallback = null) {
+  const raw = loadString(key);
+  if (raw === null) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Stored "${key}" is corrupted, moving it aside:`, error);
+    saveString(`${key}.corrupt`, raw);
+    removeItem(key);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and write a JSON value
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean} Whether the value was stored
+ */
+export function saveJSON(key, value) {
+  return saveString(key, JSON.stringify(value));
+}
+
+/**
+ * Delete a value
+ * @param {string} key
+ */
+export function removeItem(key) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.removeItem(key);
+  } catch (error) {
+    console.warn(`Failed to remove "${key}" from storage:`, error);
+  }
+}
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { THEME_PRESETS, DEFAULT_THEME, CUSTOM_THEME } from '../config/theme_presets.js';
+import { loadJSON } from './storage.js';
+
+const MATERIALS = {
+  lambert: THREE.MeshLambertMaterial,
+  phong: THREE.MeshPhongMaterial,
+  standard: THREE.MeshStandardMaterial,
+  toon: THREE.MeshToonMaterial
+};
+
+const BLOCK_TYPES = ['hue', 'palette', 'gradient'];
+
+/**
+ * Check for a '#rgb' or '#rrggbb' string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHexColor(value) {
+  return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+/**
+ * Check that a light is { color, intensity }
+ * @param {*} light
+ * @returns {boolean}
+ */
+function isValidLight(light) {
+  return Boolean(light) && isHexColor(light.color) &&
+    Number.isFinite(light.intensity) && light.intensity >= 0;
+}
+
+/**
+ * Validate the `blocks` section of a theme
+ * @param {*} blocks
+ * @throws {Error} If the section is malformed
+ */
+function validateBlocks(blocks) {
+  if (!blocks || !BLOCK_TYPES.includes(blocks.type)) {
+    throw new Error(`Theme blocks.type must be one of: ${BLOCK_TYPES.join(', ')}`);
+  }
+
+  if (blocks.type === 'hue') {
+    const numbers = ['base', 'step', 'saturation', 'lightness'];
+    if (!numbers.every(key => Number.isFinite(blocks[key]))) {
+      throw new Error(`Theme hue blocks need numeric ${numbers.join(', ')}`);
+    }
+    return;
+  }
+
+  const minColors = blocks.type === 'gradient' ? 2 : 1;
+  if (!Array.isArray(blocks.colors) || blocks.colors.length < minColors || !blocks.colors.every(isHexColor)) {
+    throw new Error(`Theme ${blocks.type} blocks need ${minColors === 1 ? 'one' : 'two'} or more hex colors`);
+  }
+  if (blocks.type === 'gradient' && !(Number.isInteger(blocks.steps) && blocks.steps > 0)) {
+    throw new Error('Theme gradient blocks need a positive integer steps');
+  }
+}
+
+/**
+ * Turns a theme description into block colours, materials, background and lights
+ */
+export class Theme {
+  /**
+   * @param {Object} description - See THEME_PRESETS for the shape
+   * @throws {Error} If the description is malformed
+   */
+  constructor(description) {
+    if (!description || typeof description !== 'object') {
+      throw new Error('Theme description must be an object');
+    }
+    validateBlocks(description.blocks);
+    if (!Object.hasOwn(MATERIALS, description.material)) {
+      throw new Error(`Theme material must be one of: ${Object.keys(MATERIALS).join(', ')}`);
+    }
+    if (!isHexColor(description.background) || !isHexColor(description.accent)) {
+      throw new Error('Theme background and accent must be hex colors');
+    }
+    const lighting = description.lighting;
+    if (!lighting || !isValidLight(lighting.ambient) || !isValidLight(lighting.directional)) {
+      throw new Error('Theme lighting needs ambient and directional { color, intensity }');
+    }
+
+    this.description = description;
+    this.label = typeof description.label === 'string' ? description.label : 'Custom';
+    this.background = new THREE.Color(description.background);
+    this.accent = new THREE.Color(description.accent);
+    this.colors = (description.blocks.colors || []).map(color => new THREE.Color(color));
+  }
+
+  /**
+   * Build the theme for a named preset, falling back to the default
+   * @param {string} name
+   * @returns {Theme}
+   */
+  static fromPreset(name) {
+    const preset = THEME_PRESETS[name] || THEME_PRESETS[DEFAULT_THEME];
+    return new Theme(preset);
+  }
+
+  /**
+   * Build the theme selected by a settings value, including the stored custom theme
+   * @param {string} name - Preset name or CUSTOM_THEME
+   * @returns {Theme}
+   */
+  static resolve(name) {
+    if (name !== CUSTOM_THEME) {
+      return Theme.fromPreset(name);
+    }
+
+    try {
+      return new Theme(loadJSON(GAME_CONFIG.CUSTOM_THEME_STORAGE_KEY));
+    } catch (error) {
+      console.warn('Custom theme is missing or invalid, using the default:', error.message);
+      return Theme.fromPreset(DEFAULT_THEME);
+    }
+  }
+
+  /**
+   * Parse a theme from JSON text
+   * @param {string} json
+   * @returns {Theme}
+   * @throws {Error} If the text isn't a valid theme
+   */
+  static parse(json) {
+    let description;
+    try {
+      description = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Theme file is not valid JSON');
+    }
+    return new Theme(description);
+  }
+
+  /**
+   * Colour of the layer at a stack index
+   * @param {number} stackIndex
+   * @returns {THREE.Color}
+   */
+  getBlockColor(stackIndex) {
+    const blocks = this.description.blocks;
+
+    if (blocks.type === 'hue') {
+      const hue = blocks.base + stackIndex * blocks.step;
+      return new THREE.Color(`hsl(${hue}, ${blocks.saturation}%, ${blocks.lightness}%)`);
+    }
+
+    if (blocks.type === 'palette') {
+      return this.colors[stackIndex % this.colors.length].clone();
+    }
+
+    // Gradient: walk the stops forwards then backwards so the ramp loops smoothly
+    const segments = this.colors.length - 1;
+    let position = (stackIndex / blocks.steps) % (segments * 2);
+    if (position > segments) {
+      position = segments * 2 - position;
+    }
+    const index = Math.min(Math.floor(position), segments - 1);
+    return this.colors[index].clone().lerp(this.colors[index + 1], position - index);
+  }
+
+  /**
+   * Create a block material of the theme's type
+   * @param {THREE.Color} color
+   * @returns {THREE.Material}
+   */
+  createMaterial(color) {
+    const MaterialClass = MATERIALS[this.description.material];
+    return new MaterialClass({ color });
+  }
+}
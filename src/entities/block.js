@@ -1,55 +1,34 @@
-import * as THREE from 'three';
-import { GAME_CONFIG, DIRECTIONS } from '../config/game_config.js';
+import { DIRECTIONS } from '../config/game_config.js';
 
 /**
- * Represents a single block in the stack game
+ * Represents a single block in the stack game.
+ * Pure simulation data: meshes and physics bodies are attached by adapters.
  */
 export class Block {
   constructor(x, y, z, width, depth, direction = null, physicsBody = null) {
     this.position = { x, y, z };
+    this.previousPosition = { x, y, z };
     this.width = width;
     this.depth = depth;
     this.direction = direction;
-    this.mesh = null;
+    this.stackIndex = 0;
+    this.spawnTick = 0;
+    this.speed = 0;
+    this.travelDistance = 0;
+    this.travelSign = 1;
+    this.powerUp = null;
     this.physicsBody = physicsBody;
     this.isMoving = false;
     this.isFalling = false;
   }
 
   /**
-   * Create the visual representation of the block
-   * @param {number} stackIndex - Index in the stack for color calculation
-   * @returns {THREE.Mesh} The created mesh
+   * Remember the current position as the start of the next simulation step
    */
-  createMesh(stackIndex) {
-    const geometry = new THREE.BoxGeometry(
-      this.width, 
-      GAME_CONFIG.BOX_HEIGHT, 
-      this.depth
-    );
-    
-    const hue = GAME_CONFIG.COLOR_HUE_BASE + stackIndex * GAME_CONFIG.COLOR_HUE_INCREMENT;
-    const color = new THREE.Color(
-      `hsl(${hue}, ${GAME_CONFIG.COLOR_SATURATION}%, ${GAME_CONFIG.COLOR_LIGHTNESS}%)`
-    );
-    
-    const material = new THREE.MeshLambertMaterial({ color });
-    this.mesh = new THREE.Mesh(geometry, material);
-    this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-    this.mesh.castShadow = true;
-    this.mesh.receiveShadow = true;
-    
-    return this.mesh;
-  }
-
-  /**
-   * Update block's visual position from physics body
-   */
-  updateFromPhysics() {
-    if (this.physicsBody && this.mesh) {
-      this.mesh.position.copy(this.physicsBody.position);
-      this.mesh.quaternion.copy(this.physicsBody.quaternion);
-    }
+  storePreviousPosition() {
+    this.previousPosition.x = this.position.x;
+    this.previousPosition.y = this.position.y;
+    this.previousPosition.z = this.position.z;
   }
 
   /**
@@ -58,9 +37,6 @@ export class Block {
    * @param {number} delta - Position delta
    */
   updatePosition(direction, delta) {
-    if (this.mesh) {
-      this.mesh.position[direction] += delta;
-    }
     if (this.physicsBody) {
       this.physicsBody.position[direction] += delta;
     }
@@ -70,10 +46,9 @@ export class Block {
   /**
    * Cut the block to a new size and position
    * @param {number} overlap - The overlapping size
-   * @param {number} originalSize - Original size in the cutting direction
-   * @param {number} delta - Position adjustment
+   * @param {number} delta - Offset from the block below
    */
-  cut(overlap, originalSize, delta) {
+  cut(overlap, delta) {
     const direction = this.direction;
     const newWidth = direction === DIRECTIONS.X ? overlap : this.width;
     const newDepth = direction === DIRECTIONS.Z ? overlap : this.depth;
@@ -81,23 +56,38 @@ export class Block {
     this.width = newWidth;
     this.depth = newDepth;
 
-    // Update visual representation
-    if (this.mesh) {
-      this.mesh.scale[direction] = overlap / originalSize;
-      this.mesh.position[direction] -= delta / 2;
-    }
-
     // Update physics body position
     if (this.physicsBody) {
       this.physicsBody.position[direction] -= delta / 2;
     }
 
     this.position[direction] -= delta / 2;
+    this.storePreviousPosition();
+  }
+
+  /**
+   * Grow the block symmetrically, clamped to a maximum size
+   * @param {number} amount - Size to add in both directions
+   * @param {number} maxSize - Upper bound for width and depth
+   */
+  grow(amount, maxSize) {
+    this.width = Math.min(this.width + amount, maxSize);
+    this.depth = Math.min(this.depth + amount, maxSize);
+  }
+
+  /**
+   * Move the block so it lines up exactly with a target position
+   * @param {string} direction
+   * @param {number} target
+   */
+  snapTo(direction, target) {
+    this.updatePosition(direction, target - this.position[direction]);
+    this.storePreviousPosition();
   }
 
   /**
    * Get the current position in a specific direction
-   * @param {string} direction 
+   * @param {string} direction
    * @returns {number}
    */
   getPosition(direction) {
@@ -106,7 +96,7 @@ export class Block {
 
   /**
    * Get the size in a specific direction
-   * @param {string} direction 
+   * @param {string} direction
    * @returns {number}
    */
   getSize(direction) {
@@ -115,7 +105,7 @@ export class Block {
 
   /**
    * Check if block has moved beyond bounds
-   * @param {number} bound 
+   * @param {number} bound
    * @returns {boolean}
    */
   isOutOfBounds(bound = 10) {
@@ -123,20 +113,44 @@ export class Block {
   }
 
   /**
-   * Mark block as falling
+   * Capture the simulation state of the block for a saved run
+   * @returns {Object}
    */
-  startFalling() {
-    this.isFalling = true;
-    this.isMoving = false;
+  toSnapshot() {
+    const { x, y, z } = this.position;
+    return {
+      x, y, z,
+      width: this.width,
+      depth: this.depth,
+      direction: this.direction,
+      spawnTick: this.spawnTick,
+      speed: this.speed,
+      travelDistance: this.travelDistance,
+      travelSign: this.travelSign,
+      powerUp: this.powerUp
+    };
   }
 
   /**
-   * Cleanup block resources
+   * Rebuild a block captured with toSnapshot
+   * @param {Object} data
+   * @returns {Block}
    */
-  dispose() {
-    if (this.mesh) {
-      if (this.mesh.geometry) this.mesh.geometry.dispose();
-      if (this.mesh.material) this.mesh.material.dispose();
-    }
+  static fromSnapshot(data) {
+    const block = new Block(data.x, data.y, data.z, data.width, data.depth, data.direction);
+    block.spawnTick = data.spawnTick;
+    block.speed = data.speed;
+    block.travelDistance = data.travelDistance;
+    block.travelSign = data.travelSign;
+    block.powerUp = data.powerUp;
+    return block;
+  }
+
+  /**
+   * Mark block as falling
+   */
+  startFalling() {
+    this.isFalling = true;
+    this.isMoving = false;
   }
-}
\ No newline at end of file
+}
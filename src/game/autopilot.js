@@ -0,0 +1,190 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { AUTOPILOT_PRESETS, DEFAULT_AUTOPILOT } from '../config/autopilot_presets.js';
+import { EVENTS } from '../core/event_system.js';
+import { SeededRandom } from '../core/random.js';
+
+// Mixed into the run seed so a robot's choices don't share the run's random sequence
+const POLICY_SEED_SALT = 0x9E3779B9;
+
+/**
+ * Signed distance the top block still has to travel to line up with the layer below;
+ * negative once it has passed
+ * @param {GameLogic} gameLogic
+ * @returns {number}
+ */
+function getDistanceToTarget(gameLogic) {
+  const stack = gameLogic.stack;
+  const topLayer = stack[stack.length - 1];
+  const previousLayer = stack[stack.length - 2];
+  const direction = topLayer.direction;
+
+  return (previousLayer.getPosition(direction) - topLayer.getPosition(direction)) * topLayer.travelSign;
+}
+
+/**
+ * Distance the top block covers in one step at its current speed
+ * @param {GameLogic} gameLogic
+ * @param {number} deltaTime
+ * @returns {number}
+ */
+function getStepTravel(gameLogic, deltaTime) {
+  const topLayer = gameLogic.stack[gameLogic.stack.length - 1];
+  return topLayer.speed * gameLogic.getSpeedFactor() * gameLogic.getEaseFactor(topLayer) * deltaTime;
+}
+
+/**
+ * Decides when to drop the moving block. GameLogic asks once per step, before
+ * the block moves; policies draw from their own generator, reseeded every run,
+ * so a run stays reproducible from its seed.
+ */
+export class AutopilotPolicy {
+  constructor() {
+    this.random = new SeededRandom(0);
+  }
+
+  /**
+   * Prepare for a new run
+   * @param {number} seed - The run's seed
+   */
+  reset(seed) {
+    this.random.setSeed(seed ^ POLICY_SEED_SALT);
+  }
+
+  /**
+   * Check if the block should be dropped this step
+   * @param {GameLogic} gameLogic
+   * @param {number} deltaTime - Step length in milliseconds
+   * @returns {boolean}
+   */
+  shouldDrop(gameLogic, deltaTime) {
+    return false;
+  }
+}
+
+/**
+ * The original attract-mode robot: stops at a random offset from the layer below
+ */
+export class OffsetPolicy extends AutopilotPolicy {
+  constructor() {
+    super();
+    this.offset = 0;
+  }
+
+  reset(seed) {
+    super.reset(seed);
+    this.drawOffset();
+  }
+
+  /**
+   * Pick where the next block stops
+   */
+  drawOffset() {
+    this.offset = this.random.next() * GAME_CONFIG.ROBOT_PRECISION_RANGE - 0.5;
+  }
+
+  shouldDrop(gameLogic) {
+    const topLayer = gameLogic.stack[gameLogic.stack.length - 1];
+    if (getDistanceToTarget(gameLogic) + this.offset * topLayer.travelSign > 0) return false;
+
+    this.drawOffset();
+    return true;
+  }
+}
+
+/**
+ * Drops on the step that leaves the block closest to the layer below
+ */
+export class PerfectPolicy extends AutopilotPolicy {
+  shouldDrop(gameLogic, deltaTime) {
+    return getDistanceToTarget(gameLogic) <= getStepTravel(gameLogic, deltaTime) / 2;
+  }
+}
+
+/**
+ * Plays like a person: commits to a drop time `reactionMs` before the block
+ * should line up, judging from its current speed, and misses that time by a
+ * normally distributed error
+ */
+export class HumanPolicy extends AutopilotPolicy {
+  /**
+   * @param {Object} options - { reactionMs, timingJitterMs }
+   */
+  constructor({ reactionMs, timingJitterMs }) {
+    super();
+    this.reactionMs = reactionMs;
+    this.timingJitterMs = timingJitterMs;
+    this.dropTick = null;
+  }
+
+  reset(seed) {
+    super.reset(seed);
+    this.dropTick = null;
+  }
+
+  shouldDrop(gameLogic, deltaTime) {
+    const tick = gameLogic.getTick();
+    if (this.dropTick !== null) {
+      if (tick < this.dropTick) return false;
+
+      this.dropTick = null;
+      return true;
+    }
+
+    const distance = getDistanceToTarget(gameLogic);
+    const speed = getStepTravel(gameLogic, deltaTime) / deltaTime;
+    // Too late to aim: react to having overshot
+    const timeToTarget = distance > 0 ? distance / speed : this.reactionMs;
+    if (timeToTarget > this.reactionMs) return false;
+
+    const delay = Math.max(timeToTarget + this.random.normal(0, this.timingJitterMs), 0);
+    this.dropTick = tick + Math.round(delay / deltaTime);
+    return false;
+  }
+}
+
+/**
+ * Never drops; tells the player when to, early enough to react.
+ * Emits AUTOPILOT_HINT once per layer when the ideal moment is
+ * GAME_CONFIG.COACH_LEAD_MS away.
+ */
+export class CoachPolicy extends AutopilotPolicy {
+  constructor() {
+    super();
+    this.hintedLayer = -1;
+  }
+
+  reset(seed) {
+    super.reset(seed);
+    this.hintedLayer = -1;
+  }
+
+  shouldDrop(gameLogic, deltaTime) {
+    const layer = gameLogic.getStackHeight();
+    if (layer === this.hintedLayer) return false;
+
+    const distance = getDistanceToTarget(gameLogic);
+    const speed = getStepTravel(gameLogic, deltaTime) / deltaTime;
+    if (distance < 0 || distance / speed > GAME_CONFIG.COACH_LEAD_MS) return false;
+
+    this.hintedLayer = layer;
+    gameLogic.events.emit(EVENTS.AUTOPILOT_HINT, { tick: gameLogic.getTick(), inMs: distance / speed });
+    return false;
+  }
+}
+
+const POLICIES = {
+  offset: OffsetPolicy,
+  perfect: PerfectPolicy,
+  human: HumanPolicy
+};
+
+/**
+ * Build a robot from a skill preset
+ * @param {string} name - AUTOPILOT_PRESETS key; unknown names get the default robot
+ * @returns {AutopilotPolicy}
+ */
+export function createAutopilot(name) {
+  const preset = AUTOPILOT_PRESETS[Object.hasOwn(AUTOPILOT_PRESETS, name) ? name : DEFAULT_AUTOPILOT];
+  const { policy, label, ...options } = preset;
+  return new POLICIES[policy](options);
+}
@@ -0,0 +1,392 @@
+import { GAME_CONFIG, GAME_MODES } from '../config/game_config.js';
+import { DIFFICULTY_PRESETS } from '../config/difficulty_presets.js';
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { SeededRandom } from '../core/random.js';
+import { loadJSON, saveJSON } from '../core/storage.js';
+import { configService } from '../core/config_service.js';
+
+export const DAILY_SCHEMA_VERSION = 1;
+
+// Difficulties a daily challenge can roll
+const DAILY_DIFFICULTIES = ['normal', 'hard'];
+
+/**
+ * How close each placement was, best first. `maxLoss` is the largest
+ * fraction of the block's width that may be cut off for the grade.
+ */
+export const PRECISION_GRADES = [
+  { name: 'perfect', emoji: '🟩', maxLoss: 0 },
+  { name: 'close', emoji: '🟨', maxLoss: 0.1 },
+  { name: 'cut', emoji: '🟧', maxLoss: 0.35 },
+  { name: 'wide', emoji: '🟥', maxLoss: 1 },
+  { name: 'miss', emoji: '⬛', maxLoss: Infinity }
+];
+
+const GRADE_NAMES = PRECISION_GRADES.map(({ name }) => name);
+
+/**
+ * Get the local calendar date as a challenge key
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDailyKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Move a challenge key by whole days
+ * @param {string} key - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+export function shiftDailyKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  // UTC arithmetic so daylight saving changes never skip or repeat a day
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Derive a date's challenge. Everything random in the run, including the
+ * speeds and the mode and difficulty modifiers, follows from the seed.
+ * @param {string} key - YYYY-MM-DD
+ * @returns {Object} { key, seed, mode, difficulty }
+ */
+export function createDailyChallenge(key) {
+  const seed = SeededRandom.hashString(`daily:${key}`);
+  const random = new SeededRandom(seed);
+  const modes = Object.values(GAME_MODES);
+
+  return {
+    key,
+    seed,
+    mode: modes[Math.floor(random.next() * modes.length)],
+    difficulty: DAILY_DIFFICULTIES[Math.floor(random.next() * DAILY_DIFFICULTIES.length)]
+  };
+}
+
+/**
+ * Grade a placement by how much of the block was cut off
+ * @param {number} loss - Fraction of the block's width lost, 0 for a perfect drop
+ * @returns {string} A PRECISION_GRADES name
+ */
+export function gradePlacement(loss) {
+  return PRECISION_GRADES.find(({ maxLoss }) => loss <= maxLoss).name;
+}
+
+/**
+ * Check that a stored result has every field with a sane type
+ * @param {*} result
+ * @returns {boolean}
+ */
+function isValidResult(result) {
+  return Boolean(result) &&
+    typeof result.mode === 'string' &&
+    typeof result.difficulty === 'string' &&
+    Number.isInteger(result.score) && result.score >= 0 &&
+    Number.isInteger(result.perfects) && result.perfects >= 0 &&
+    typeof result.isComplete === 'boolean' &&
+    Array.isArray(result.grades) && result.grades.every(grade => GRADE_NAMES.includes(grade));
+}
+
+/**
+ * Persistent daily challenge results: one scored attempt per date, and the
+ * streak of consecutive dates played
+ */
+export class DailyChallenge {
+  constructor(storageKey = GAME_CONFIG.DAILY_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.results = {};
+    this.isReadOnly = false;
+  }
+
+  /**
+   * Load results from storage, discarding bad data
+   */
+  load() {
+    const data = loadJSON(this.storageKey);
+    this.results = {};
+
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      if (data !== null) {
+        console.warn('Daily challenge data is unrecognized, starting fresh');
+      }
+      return;
+    }
+
+    if (data.version > DAILY_SCHEMA_VERSION) {
+      // Written by a newer build: use nothing, overwrite nothing
+      console.warn(`Daily challenge schema v${data.version} is newer than supported v${DAILY_SCHEMA_VERSION}`);
+      this.isReadOnly = true;
+      return;
+    }
+
+    Object.entries(data.results || {}).forEach(([key, result]) => {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(key) && isValidResult(result)) {
+        this.results[key] = result;
+      } else {
+        console.warn(`Dropped invalid daily challenge result for "${key}"`);
+      }
+    });
+  }
+
+  /**
+   * Write results to storage
+   */
+  save() {
+    if (this.isReadOnly) return;
+
+    saveJSON(this.storageKey, {
+      version: DAILY_SCHEMA_VERSION,
+      results: this.results
+    });
+  }
+
+  /**
+   * Get the scored result for a date
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  getResult(key) {
+    return this.results[key] || null;
+  }
+
+  /**
+   * Check if the scored attempt for a date was used
+   * @param {string} key
+   * @returns {boolean}
+   */
+  hasPlayed(key) {
+    return Boolean(this.results[key]);
+  }
+
+  /**
+   * Use up a date's scored attempt. Saved at the start so reloading
+   * mid-run doesn't grant another try.
+   * @param {Object} challenge - From createDailyChallenge
+   */
+  startAttempt({ key, mode, difficulty }) {
+    this.results[key] = { mode, difficulty, score: 0, perfects: 0, grades: [], isComplete: false };
+    this.save();
+  }
+
+  /**
+   * Store how the scored attempt for a date went
+   * @param {string} key
+   * @param {Object} outcome - { score, perfects, grades, isComplete }
+   */
+  finishAttempt(key, { score, perfects, grades, isComplete }) {
+    const result = this.results[key];
+    if (!result) return;
+
+    Object.assign(result, { score, perfects, grades: [...grades], isComplete });
+    this.save();
+  }
+
+  /**
+   * Count consecutive played dates ending today, or yesterday if today is still open
+   * @param {string} today
+   * @returns {number}
+   */
+  getStreak(today = getDailyKey()) {
+    let key = this.hasPlayed(today) ? today : shiftDailyKey(today, -1);
+    let streak = 0;
+
+    while (this.hasPlayed(key)) {
+      streak++;
+      key = shiftDailyKey(key, -1);
+    }
+    return streak;
+  }
+
+  /**
+   * Find the longest run of consecutive played dates
+   * @returns {number}
+   */
+  getBestStreak() {
+    let best = 0;
+    let current = 0;
+    let previous = null;
+
+    Object.keys(this.results).sort().forEach(key => {
+      current = previous && shiftDailyKey(previous, 1) === key ? current + 1 : 1;
+      best = Math.max(best, current);
+      previous = key;
+    });
+    return best;
+  }
+
+  /**
+   * Build a spoiler-free summary to paste into a chat
+   * @param {string} key
+   * @param {Object} outcome - { score, mode, difficulty, grades }
+   * @param {Object} options - { isPractice, streak }
+   * @returns {string}
+   */
+  static buildShareText(key, { score, mode, difficulty, grades }, { isPractice = false, streak = 0 } = {}) {
+    const preset = DIFFICULTY_PRESETS[difficulty];
+    const header = `Stack Daily ${key}: ${score}${isPractice ? ' (practice)' : ''}`;
+    const details = [mode.replace('_', ' '), preset ? preset.label : difficulty];
+    if (streak > 0) {
+      details.push(`🔥 ${streak}`);
+    }
+
+    const emoji = grades.map(name => PRECISION_GRADES.find(grade => grade.name === name).emoji);
+    const rows = [];
+    for (let index = 0; index < emoji.length; index += GAME_CONFIG.DAILY_SHARE_ROW_LENGTH) {
+      rows.push(emoji.slice(index, index + GAME_CONFIG.DAILY_SHARE_ROW_LENGTH).join(''));
+    }
+
+    return [header, details.join(' · '), ...rows].join('\n');
+  }
+}
+
+/**
+ * Starts daily challenge runs in the game and follows them to the end,
+ * grading each placement. Scored runs play on the default config without
+ * the coach, so everyone's attempt on a date is the same run.
+ */
+export class DailyRunner {
+  /**
+   * @param {Object} game - Object exposing `gameLogic`
+   * @param {DailyChallenge} challenge
+   */
+  constructor(game, challenge) {
+    this.game = game;
+    this.challenge = challenge;
+    this.run = null;
+    this.isStarting = false;
+    this.savedConfig = null;
+
+    this.setupGameEventListeners();
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_START, this.handleGameStart.bind(this));
+    gameEvents.on(EVENTS.SCORE_UPDATE, score => {
+      if (this.run) this.run.score = score;
+    });
+    gameEvents.on(EVENTS.PERFECT_PLACEMENT, () => this.addGrade(0));
+    gameEvents.on(EVENTS.BLOCK_CUT, this.handleCut.bind(this));
+    gameEvents.on(EVENTS.BLOCK_MISSED, () => this.addGrade(Infinity));
+    gameEvents.on(EVENTS.GAME_OVER, ({ perfects }) => this.finish(perfects, true));
+  }
+
+  /**
+   * Start today's challenge
+   * @param {boolean} isPractice - Practice runs can be repeated and aren't scored
+   * @returns {boolean} Whether a run started
+   */
+  start(isPractice = false) {
+    const challenge = createDailyChallenge(getDailyKey());
+    if (!isPractice && this.challenge.hasPlayed(challenge.key)) return false;
+
+    if (!isPractice) {
+      this.challenge.startAttempt(challenge);
+    }
+    this.run = { ...challenge, isPractice, score: 0, grades: [] };
+
+    const gameLogic = this.game.gameLogic;
+    gameLogic.setMode(challenge.mode);
+    gameLogic.setDifficulty(challenge.difficulty);
+    if (!isPractice) {
+      this.savedConfig = { ...GAME_CONFIG };
+      configService.assign(configService.getDefaults());
+      // Listeners bring the coach back with the player's settings when the run ends
+      gameLogic.setPilot(null);
+    }
+
+    this.isStarting = true;
+    gameLogic.startGame(challenge.seed);
+    this.isStarting = false;
+
+    gameEvents.emit(EVENTS.DAILY_STARTED, { challenge, isPractice });
+    return true;
+  }
+
+  /**
+   * A run started by anything else abandons the challenge run
+   */
+  handleGameStart() {
+    if (this.run && !this.isStarting) {
+      this.finish(this.game.gameLogic.getPerfectCount(), false);
+    }
+  }
+
+  /**
+   * Grade a cut by the share of the block that fell off
+   * @param {Object} data - { block, overhangSize }
+   */
+  handleCut({ block, overhangSize }) {
+    const size = block.getSize(block.direction) + overhangSize;
+    this.addGrade(overhangSize / size);
+  }
+
+  /**
+   * Record one placement of the current run
+   * @param {number} loss
+   */
+  addGrade(loss) {
+    if (this.run) {
+      this.run.grades.push(gradePlacement(loss));
+    }
+  }
+
+  /**
+   * Settle the current run
+   * @param {number} perfects
+   * @param {boolean} isComplete - False when the run was abandoned
+   */
+  finish(perfects, isComplete) {
+    if (!this.run) return;
+
+    const run = this.run;
+    this.run = null;
+    if (this.savedConfig) {
+      configService.restore(this.savedConfig);
+      this.savedConfig = null;
+    }
+
+    const outcome = { score: run.score, perfects, grades: run.grades, isComplete };
+    if (!run.isPractice) {
+      this.challenge.finishAttempt(run.key, outcome);
+    }
+
+    const streak = this.challenge.getStreak(run.key);
+    const shareText = DailyChallenge.buildShareText(run.key, { ...run, ...outcome }, {
+      isPractice: run.isPractice,
+      streak
+    });
+
+    // Listeners restore the player's own mode and difficulty
+    gameEvents.emit(EVENTS.DAILY_FINISHED, {
+      key: run.key,
+      isPractice: run.isPractice,
+      isComplete,
+      score: run.score,
+      streak,
+      shareText
+    });
+  }
+
+  /**
+   * Check if a challenge run is in progress
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.run !== null;
+  }
+
+  /**
+   * Check if the run in progress is today's scored attempt
+   * @returns {boolean}
+   */
+  isScored() {
+    return this.run !== null && !this.run.isPractice;
+  }
+}
@@ -0,0 +1,123 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, PRESET_BASE_SPEED } from '../config/difficulty_presets.js';
+
+const DRIVERS = ['height', 'score'];
+
+/**
+ * Check that a keyframe list is non-empty [level, value] pairs in ascending level order
+ * @param {*} keyframes
+ * @returns {boolean}
+ */
+function isValidKeyframes(keyframes) {
+  return Array.isArray(keyframes) && keyframes.length > 0 && keyframes.every((frame, i) =>
+    Array.isArray(frame) && frame.length === 2 &&
+    Number.isFinite(frame[0]) && Number.isFinite(frame[1]) && frame[1] > 0 &&
+    (i === 0 || frame[0] > keyframes[i - 1][0])
+  );
+}
+
+/**
+ * Evaluate piecewise-linear keyframes, clamping outside their range
+ * @param {number[][]} keyframes
+ * @param {number} level
+ * @returns {number}
+ */
+function evaluateKeyframes(keyframes, level) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (level <= first[0]) return first[1];
+  if (level >= last[0]) return last[1];
+
+  const index = keyframes.findIndex(([frameLevel]) => frameLevel > level);
+  const [levelA, valueA] = keyframes[index - 1];
+  const [levelB, valueB] = keyframes[index];
+  return valueA + (valueB - valueA) * (level - levelA) / (levelB - levelA);
+}
+
+/**
+ * Turns a difficulty description into per-layer speed and spawn distance
+ */
+export class DifficultyCurve {
+  /**
+   * @param {Object} description - See DIFFICULTY_PRESETS for the shape
+   * @throws {Error} If the description is malformed
+   */
+  constructor(description) {
+    if (!description || typeof description !== 'object') {
+      throw new Error('Difficulty description must be an object');
+    }
+    if (!DRIVERS.includes(description.driver)) {
+      throw new Error(`Difficulty driver must be one of: ${DRIVERS.join(', ')}`);
+    }
+    if (!isValidKeyframes(description.speed)) {
+      throw new Error('Difficulty speed must be ascending [level, speed] keyframes');
+    }
+    if (!isValidKeyframes(description.spawnDistance)) {
+      throw new Error('Difficulty spawnDistance must be ascending [level, distance] keyframes');
+    }
+    const jitter = description.speedJitter ?? 0;
+    if (!Number.isFinite(jitter) || jitter < 0 || jitter >= 1) {
+      throw new Error('Difficulty speedJitter must be in [0, 1)');
+    }
+
+    this.description = description;
+    this.driver = description.driver;
+    this.speedJitter = jitter;
+  }
+
+  /**
+   * Build the curve for a named preset, falling back to the default
+   * @param {string} name
+   * @returns {DifficultyCurve}
+   */
+  static fromPreset(name) {
+    const preset = DIFFICULTY_PRESETS[name] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+    return new DifficultyCurve(preset);
+  }
+
+  /**
+   * Build a flat curve matching the original fixed speed and spawn distance
+   * @param {number} speed
+   * @returns {DifficultyCurve}
+   */
+  static constant(speed = PRESET_BASE_SPEED) {
+    return new DifficultyCurve({
+      driver: 'height',
+      speed: [[0, speed]],
+      spawnDistance: [[0, 10]],
+      speedJitter: 0
+    });
+  }
+
+  /**
+   * Pick the level the curves are evaluated at
+   * @param {number} stackHeight
+   * @param {number} score
+   * @returns {number}
+   */
+  getLevel(stackHeight, score) {
+    return this.driver === 'score' ? score : stackHeight;
+  }
+
+  /**
+   * Movement speed for a new layer
+   * @param {number} level
+   * @param {SeededRandom} random - Source for the jitter
+   * @returns {number}
+   */
+  getSpeed(level, random) {
+    const speed = evaluateKeyframes(this.description.speed, level) * GAME_CONFIG.MOVEMENT_SPEED / PRESET_BASE_SPEED;
+    if (this.speedJitter === 0) return speed;
+
+    return speed * (1 + random.range(-this.speedJitter, this.speedJitter));
+  }
+
+  /**
+   * Spawn distance for a new layer
+   * @param {number} level
+   * @returns {number}
+   */
+  getSpawnDistance(level) {
+    return evaluateKeyframes(this.description.spawnDistance, level);
+  }
+}
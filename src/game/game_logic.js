@@ -1,32 +1,66 @@
 import { Block } from '../entities/block.js';
-import { GAME_CONFIG, DIRECTIONS } from '../config/game_config.js';
+import { GAME_CONFIG, DIRECTIONS, GAME_MODES } from '../config/game_config.js';
 import { gameEvents, EVENTS } from '../core/event_system.js';
+import { SeededRandom } from '../core/random.js';
+import { DifficultyCurve } from './difficulty.js';
+import { DEFAULT_DIFFICULTY } from '../config/difficulty_presets.js';
+import { POWER_UP_TYPES } from '../config/power_ups.js';
+import { createAutopilot } from './autopilot.js';
+import { DEFAULT_AUTOPILOT } from '../config/autopilot_presets.js';
 
 /**
- * Manages the game logic, block stacking, and game state
+ * Headless simulation of the stack: owns the blocks, cut math, scoring and
+ * autopilot. Rendering, physics and UI attach as adapters through `events`,
+ * so this class runs unchanged in Node.
  */
 export class GameLogic {
-  constructor(renderManager, physicsManager) {
-    this.renderManager = renderManager;
-    this.physicsManager = physicsManager;
+  /**
+   * @param {EventSystem} events - Event bus the simulation publishes to and takes input from
+   */
+  constructor(events = gameEvents) {
+    this.events = events;
     
     this.stack = [];
     this.overhangs = [];
     this.isAutopilot = true;
     this.isGameEnded = false;
     this.score = 0;
-    this.robotPrecision = 0;
+    this.combo = 0;
+    this.perfectCount = 0;
+    this.mode = GAME_MODES.CLASSIC;
+    this.difficultyName = DEFAULT_DIFFICULTY;
+    this.difficulty = DifficultyCurve.fromPreset(DEFAULT_DIFFICULTY);
+    this.nextDifficulty = null;
+    this.nextMode = null;
+    // Drives attract mode
+    this.autopilot = createAutopilot(DEFAULT_AUTOPILOT);
+    // Optional policy consulted during player runs: a robot opponent or a coach
+    this.pilot = null;
+    this.restartTimer = 0;
+    this.tick = 0;
+    this.random = new SeededRandom();
+    this.isInputEnabled = true;
+    // Whether the moving block was lined up with the one below last step
+    this.isAligned = false;
+    // Recent positions of the moving layer, { tick, position } oldest first, for rewinding drops
+    this.topHistory = [];
+    this.historyBlock = null;
+    // Tick a drop that came in ahead of the simulation waits for
+    this.pendingDropTick = null;
+    // Reports how many milliseconds before the latest step an input timestamp was
+    this.inputLagSource = null;
+    // Active power-ups by type: { remaining, duration } in milliseconds, both null for one-shot ones
+    this.powerUps = {};
     
     this.setupEventListeners();
-    this.setRobotPrecision();
   }
 
   /**
    * Setup event listeners
    */
   setupEventListeners() {
-    gameEvents.on(EVENTS.BLOCK_PLACED, this.handleBlockPlacement.bind(this));
-    gameEvents.on(EVENTS.GAME_RESET, this.startGame.bind(this));
+    this.events.on(EVENTS.BLOCK_PLACED, this.handleBlockPlacement.bind(this));
+    this.events.on(EVENTS.GAME_RESET, this.startGame.bind(this));
   }
 
   /**
@@ -34,31 +68,184 @@ export class GameLogic {
    */
   initialize() {
     this.addLayer(0, 0, GAME_CONFIG.ORIGINAL_BOX_SIZE, GAME_CONFIG.ORIGINAL_BOX_SIZE);
-    this.addLayer(-10, 0, GAME_CONFIG.ORIGINAL_BOX_SIZE, GAME_CONFIG.ORIGINAL_BOX_SIZE, DIRECTIONS.X);
+    this.spawnMovingLayer(0, 0, GAME_CONFIG.ORIGINAL_BOX_SIZE, GAME_CONFIG.ORIGINAL_BOX_SIZE, DIRECTIONS.X);
+  }
+
+  /**
+   * Choose the difficulty used from the next run on
+   * @param {string} name - Preset name, or a label for a custom curve
+   * @param {DifficultyCurve} curve - Defaults to the named preset
+   */
+  setDifficulty(name, curve = DifficultyCurve.fromPreset(name)) {
+    this.nextDifficulty = { name, curve };
+  }
+
+  /**
+   * Choose the game mode used from the next run on
+   * @param {string} mode - One of GAME_MODES
+   */
+  setMode(mode) {
+    this.nextMode = mode;
+  }
+
+  /**
+   * Replace the robot that plays attract mode, from its next run on
+   * @param {AutopilotPolicy} policy
+   */
+  setAutopilot(policy) {
+    this.autopilot = policy;
+  }
+
+  /**
+   * Let a policy play player runs (a robot opponent) or advise on them (a coach), from the next run on
+   * @param {AutopilotPolicy|null} policy
+   */
+  setPilot(policy) {
+    this.pilot = policy;
+  }
+
+  /**
+   * Switch to the difficulty and mode chosen with setDifficulty/setMode, between runs only
+   */
+  applyPendingRunSettings() {
+    if (this.nextDifficulty) {
+      this.difficultyName = this.nextDifficulty.name;
+      this.difficulty = this.nextDifficulty.curve;
+      this.nextDifficulty = null;
+    }
+    
+    if (this.nextMode) {
+      this.mode = this.nextMode;
+      this.nextMode = null;
+    }
+  }
+
+  /**
+   * Return to the self-playing attract mode shown behind the menu
+   * @param {number|null} seed - RNG seed for the autopilot; a fresh one is drawn when omitted
+   */
+  startAttractMode(seed = null) {
+    this.random.setSeed(seed ?? SeededRandom.generateSeed());
+    
+    this.isAutopilot = true;
+    this.isGameEnded = false;
+    this.score = 0;
+    this.combo = 0;
+    this.perfectCount = 0;
+    this.tick = 0;
+    this.applyPendingRunSettings();
+    this.clearPowerUps();
+    
+    this.autopilot.reset(this.random.seed);
+    
+    this.clearGame();
+    this.initialize();
+    
+    this.events.emit(EVENTS.SCORE_UPDATE, this.score);
+    this.events.emit(EVENTS.COMBO_CHANGED, this.combo);
   }
 
   /**
    * Start a new game
+   * @param {number|null} seed - RNG seed for the run; a fresh one is drawn when omitted
    */
-  startGame() {
+  startGame(seed = null) {
+    this.random.setSeed(seed ?? SeededRandom.generateSeed());
+    
     this.isAutopilot = false;
     this.isGameEnded = false;
     this.score = 0;
-    this.stack = [];
-    this.overhangs = [];
+    this.combo = 0;
+    this.perfectCount = 0;
+    this.tick = 0;
+    this.applyPendingRunSettings();
+    this.clearPowerUps();
+    if (this.pilot) {
+      this.pilot.reset(this.random.seed);
+    }
     
     // Clear existing blocks
     this.clearGame();
     
-    // Reset camera
-    this.renderManager.resetCamera();
-    
     // Add initial layers
-    this.addLayer(0, 0, GAME_CONFIG.ORIGINAL_BOX_SIZE, GAME_CONFIG.ORIGINAL_BOX_SIZE);
-    this.addLayer(-10, 0, GAME_CONFIG.ORIGINAL_BOX_SIZE, GAME_CONFIG.ORIGINAL_BOX_SIZE, DIRECTIONS.X);
+    this.initialize();
+    
+    this.events.emit(EVENTS.GAME_START, {
+      seed: this.random.seed,
+      mode: this.mode,
+      difficulty: this.difficultyName,
+      difficultyCurve: this.difficulty.description
+    });
+    this.events.emit(EVENTS.SCORE_UPDATE, this.score);
+    this.events.emit(EVENTS.COMBO_CHANGED, this.combo);
+  }
+
+  /**
+   * Capture everything needed to continue the current player run later.
+   * Overhangs are left out: they're only falling debris.
+   * @returns {Object}
+   */
+  createSnapshot() {
+    return {
+      seed: this.random.seed,
+      randomState: this.random.getState(),
+      tick: this.tick,
+      mode: this.mode,
+      difficulty: this.difficultyName,
+      difficultyCurve: this.difficulty.description,
+      score: this.score,
+      combo: this.combo,
+      perfects: this.perfectCount,
+      powerUps: this.getActivePowerUps(),
+      stack: this.stack.map(block => block.toSnapshot())
+    };
+  }
+
+  /**
+   * Continue a player run captured with createSnapshot
+   * @param {Object} snapshot
+   * @throws {Error} If the snapshot's difficulty curve is malformed
+   */
+  restoreSnapshot(snapshot) {
+    const difficulty = new DifficultyCurve(snapshot.difficultyCurve);
+    
+    this.random.setSeed(snapshot.seed);
+    this.random.setState(snapshot.randomState);
     
-    gameEvents.emit(EVENTS.GAME_START);
-    gameEvents.emit(EVENTS.SCORE_UPDATE, this.score);
+    this.isAutopilot = false;
+    this.isGameEnded = false;
+    this.score = snapshot.score;
+    this.combo = snapshot.combo;
+    this.perfectCount = snapshot.perfects;
+    this.tick = snapshot.tick;
+    this.mode = snapshot.mode;
+    this.difficultyName = snapshot.difficulty;
+    this.difficulty = difficulty;
+    this.powerUps = Object.fromEntries(
+      snapshot.powerUps.map(({ type, remaining, duration }) => [type, { remaining, duration }])
+    );
+    if (this.pilot) {
+      this.pilot.reset(this.random.seed);
+    }
+    
+    // Adapters rebuild meshes and bodies from the re-added layers
+    this.clearGame();
+    snapshot.stack.forEach((data, index) => {
+      const block = Block.fromSnapshot(data);
+      block.stackIndex = index;
+      this.stack.push(block);
+      this.events.emit(EVENTS.LAYER_ADDED, { block, stackHeight: this.stack.length });
+    });
+    
+    this.events.emit(EVENTS.RUN_RESTORED, {
+      seed: this.random.seed,
+      mode: this.mode,
+      difficulty: this.difficultyName,
+      score: this.score
+    });
+    this.events.emit(EVENTS.SCORE_UPDATE, this.score);
+    this.events.emit(EVENTS.COMBO_CHANGED, this.combo);
+    this.emitPowerUps();
   }
 
   /**
@@ -68,74 +255,206 @@ export class GameLogic {
    * @param {number} width 
    * @param {number} depth 
    * @param {string} direction 
+   * @param {Object} motion - { speed, travelDistance, travelSign, powerUp } for moving layers
    */
-  addLayer(x, z, width, depth, direction = null) {
+  addLayer(x, z, width, depth, direction = null, motion = null) {
     const y = GAME_CONFIG.BOX_HEIGHT * this.stack.length;
-    const block = this.createBlock(x, y, z, width, depth, direction, false);
+    const block = this.createBlock(x, y, z, width, depth, direction);
+    if (motion) {
+      block.speed = motion.speed;
+      block.travelDistance = motion.travelDistance;
+      block.travelSign = motion.travelSign;
+      block.powerUp = motion.powerUp;
+    }
     this.stack.push(block);
     
-    gameEvents.emit(EVENTS.LAYER_ADDED, { 
+    this.events.emit(EVENTS.LAYER_ADDED, { 
       block, 
       stackHeight: this.stack.length 
     });
   }
 
+  /**
+   * Add a moving layer at the speed and spawn distance given by the difficulty curve
+   * @param {number} x - Position used on the axis the layer doesn't move along
+   * @param {number} z - Position used on the axis the layer doesn't move along
+   * @param {number} width 
+   * @param {number} depth 
+   * @param {string} direction 
+   */
+  spawnMovingLayer(x, z, width, depth, direction) {
+    const level = this.difficulty.getLevel(this.stack.length, this.score);
+    const travelDistance = this.difficulty.getSpawnDistance(level);
+    const speed = this.difficulty.getSpeed(level, this.random);
+    
+    // Ping-pong layers come in from alternating sides; sudden death always from the negative side
+    const side = this.mode === GAME_MODES.SUDDEN_DEATH || this.stack.length % 2 === 1 ? -1 : 1;
+    const spawnX = direction === DIRECTIONS.X ? side * travelDistance : x;
+    const spawnZ = direction === DIRECTIONS.Z ? side * travelDistance : z;
+    
+    this.addLayer(spawnX, spawnZ, width, depth, direction, {
+      speed,
+      travelDistance,
+      travelSign: -side,
+      powerUp: this.rollPowerUp()
+    });
+  }
+
+  /**
+   * Decide whether a new layer carries a power-up, and which
+   * @returns {string|null} One of POWER_UP_TYPES
+   */
+  rollPowerUp() {
+    const chance = GAME_CONFIG.POWER_UP_CHANCE[this.mode] ?? 0;
+    // No draw at all when disabled, so runs recorded before power-ups keep their sequence
+    if (chance <= 0 || this.random.next() >= chance) return null;
+    
+    const types = Object.values(POWER_UP_TYPES);
+    return types[Math.floor(this.random.next() * types.length)];
+  }
+
   /**
    * Add an overhang (falling piece)
    * @param {number} x 
    * @param {number} z 
    * @param {number} width 
    * @param {number} depth 
+   * @returns {Block} The falling piece
    */
   addOverhang(x, z, width, depth) {
     const y = GAME_CONFIG.BOX_HEIGHT * (this.stack.length - 1);
-    const overhang = this.createBlock(x, y, z, width, depth, null, true);
+    const overhang = this.createBlock(x, y, z, width, depth, null);
     overhang.startFalling();
     this.overhangs.push(overhang);
+    
+    this.events.emit(EVENTS.OVERHANG_ADDED, { block: overhang });
+    return overhang;
   }
 
   /**
-   * Create a block (visual and physics)
+   * Create a block at the current stack height
    * @param {number} x 
    * @param {number} y 
    * @param {number} z 
    * @param {number} width 
    * @param {number} depth 
    * @param {string} direction 
-   * @param {boolean} isDynamic 
    * @returns {Block}
    */
-  createBlock(x, y, z, width, depth, direction, isDynamic) {
-    // Create physics body
-    const physicsBody = this.physicsManager.createBoxBody(
-      x, y, z, width, GAME_CONFIG.BOX_HEIGHT, depth, isDynamic
-    );
-    
-    // Create block
-    const block = new Block(x, y, z, width, depth, direction, physicsBody);
-    
-    // Create and add visual mesh
-    const mesh = block.createMesh(this.stack.length);
-    this.renderManager.addToScene(mesh);
-    
+  createBlock(x, y, z, width, depth, direction) {
+    const block = new Block(x, y, z, width, depth, direction);
+    block.stackIndex = this.stack.length;
+    block.spawnTick = this.tick;
     return block;
   }
 
   /**
    * Handle block placement input
+   * @param {Object} data - { timeStamp } of the input, if known
    */
-  handleBlockPlacement() {
+  handleBlockPlacement({ timeStamp = null } = {}) {
+    if (!this.isInputEnabled) return;
+    
     if (this.isAutopilot) {
       this.startGame();
     } else {
-      this.splitBlockAndAddNext();
+      const lagMs = this.inputLagSource && timeStamp !== null ? this.inputLagSource(timeStamp) : 0;
+      this.dropBlock(lagMs / GAME_CONFIG.SIMULATION_STEP_MS);
     }
   }
 
+  /**
+   * Set how input timestamps are turned into a delay before the latest step
+   * @param {Function|null} source - (timeStamp) => milliseconds, negative for inputs ahead of it
+   */
+  setInputLagSource(source) {
+    this.inputLagSource = source;
+  }
+
+  /**
+   * Drop the moving block where it was when the player pressed
+   * @param {number} rewind - Ticks (fractional) before the current one the press happened;
+   *   negative when it's ahead of the simulation, which then waits for it
+   */
+  dropBlock(rewind = 0) {
+    if (this.isGameEnded || this.stack.length < 2 || this.pendingDropTick !== null) return;
+
+    const maxTicks = GAME_CONFIG.INPUT_MAX_REWIND_MS / GAME_CONFIG.SIMULATION_STEP_MS;
+    if (rewind < 0) {
+      this.pendingDropTick = this.tick + Math.min(-rewind, maxTicks);
+      return;
+    }
+
+    const clampedRewind = Math.min(rewind, maxTicks);
+    this.events.emit(EVENTS.BLOCK_DROPPED, { tick: this.tick, rewind: clampedRewind });
+    this.rewindTopLayer(clampedRewind);
+    this.splitBlockAndAddNext(clampedRewind);
+  }
+
+  /**
+   * Drop a waiting input once the simulation has reached its moment
+   */
+  applyPendingDrop() {
+    if (this.pendingDropTick === null || this.tick < this.pendingDropTick) return;
+
+    const rewind = this.tick - this.pendingDropTick;
+    this.pendingDropTick = null;
+    this.dropBlock(rewind);
+  }
+
+  /**
+   * Remember where the moving layer is this step
+   * @param {Block} topLayer 
+   */
+  recordTopPosition(topLayer) {
+    const direction = topLayer.direction;
+    if (this.historyBlock !== topLayer) {
+      // Seed with the step before, where the layer was before it first moved
+      this.historyBlock = topLayer;
+      this.topHistory = [{ tick: this.tick - 1, position: topLayer.previousPosition[direction] }];
+    }
+    
+    this.topHistory.push({ tick: this.tick, position: topLayer.getPosition(direction) });
+    const maxLength = Math.ceil(GAME_CONFIG.INPUT_MAX_REWIND_MS / GAME_CONFIG.SIMULATION_STEP_MS) + 2;
+    if (this.topHistory.length > maxLength) {
+      this.topHistory.shift();
+    }
+  }
+
+  /**
+   * Move the moving layer back to where it was a number of ticks ago,
+   * blending between recorded steps; stops at the oldest one kept
+   * @param {number} rewind - Ticks, may be fractional
+   */
+  rewindTopLayer(rewind) {
+    const topLayer = this.stack[this.stack.length - 1];
+    if (rewind <= 0 || this.historyBlock !== topLayer || this.topHistory.length === 0) return;
+    
+    const target = Math.max(this.tick - rewind, this.topHistory[0].tick);
+    const index = this.topHistory.findIndex(entry => entry.tick >= target);
+    if (index === -1) return;
+    
+    const after = this.topHistory[index];
+    const before = this.topHistory[Math.max(index - 1, 0)];
+    const span = after.tick - before.tick;
+    const alpha = span > 0 ? (target - before.tick) / span : 1;
+    const position = before.position + (after.position - before.position) * alpha;
+    
+    topLayer.updatePosition(topLayer.direction, position - topLayer.getPosition(topLayer.direction));
+  }
+
+  /**
+   * Enable or disable reacting to player input (disabled during replays)
+   * @param {boolean} enabled 
+   */
+  setInputEnabled(enabled) {
+    this.isInputEnabled = enabled;
+  }
+
   /**
    * Split the top block and add the next one
    */
-  splitBlockAndAddNext() {
+  splitBlockAndAddNext(rewind = 0) {
     if (this.isGameEnded || this.stack.length < 2) return;
 
     const topLayer = this.stack[this.stack.length - 1];
@@ -146,14 +465,65 @@ export class GameLogic {
     const delta = topLayer.getPosition(direction) - previousLayer.getPosition(direction);
     const overhangSize = Math.abs(delta);
     const overlap = size - overhangSize;
+    const isPerfect = this.consumePowerUp(POWER_UP_TYPES.AUTO_ALIGN) || overhangSize <= GAME_CONFIG.PERFECT_TOLERANCE;
+
+    this.events.emit(EVENTS.PLACEMENT_MADE, {
+      layer: topLayer.stackIndex,
+      delta,
+      overlapRatio: isPerfect ? 1 : Math.max(overlap, 0) / size,
+      reactionMs: Math.max(this.tick - rewind - topLayer.spawnTick, 0) * GAME_CONFIG.SIMULATION_STEP_MS,
+      isPerfect
+    });
 
-    if (overlap > 0) {
+    if (isPerfect) {
+      this.placePerfect(topLayer, previousLayer, direction);
+    } else if (overlap > 0) {
       this.cutAndContinue(topLayer, overlap, size, delta, overhangSize, direction);
     } else {
       this.missBlock();
     }
   }
 
+  /**
+   * Snap a near-exact drop onto the block below and extend the combo
+   * @param {Block} topLayer 
+   * @param {Block} previousLayer 
+   * @param {string} direction 
+   */
+  placePerfect(topLayer, previousLayer, direction) {
+    topLayer.snapTo(direction, previousLayer.getPosition(direction));
+
+    this.combo++;
+    this.perfectCount++;
+    
+    // Once the streak is long enough the next layer regrows; this one stays flush with the one below
+    const shouldGrow = this.combo >= GAME_CONFIG.COMBO_REGROW_THRESHOLD;
+    this.events.emit(EVENTS.BLOCK_CHANGED, { block: topLayer });
+
+    this.events.emit(EVENTS.PERFECT_PLACEMENT, {
+      block: topLayer,
+      combo: this.combo,
+      grew: shouldGrow
+    });
+    this.events.emit(EVENTS.COMBO_CHANGED, this.combo);
+
+    const powerUp = this.collectPowerUp(topLayer, 1);
+    this.addNextLayer(topLayer, direction, shouldGrow ? GAME_CONFIG.COMBO_REGROW_AMOUNT : 0, powerUp);
+  }
+
+  /**
+   * Reset the combo, notifying listeners if a streak was running
+   */
+  breakCombo() {
+    if (this.combo === 0) return;
+
+    const brokenCombo = this.combo;
+    this.combo = 0;
+    
+    this.events.emit(EVENTS.COMBO_BROKEN, { combo: brokenCombo });
+    this.events.emit(EVENTS.COMBO_CHANGED, this.combo);
+  }
+
   /**
    * Cut the block and continue the game
    * @param {Block} topLayer 
@@ -165,15 +535,8 @@ export class GameLogic {
    */
   cutAndContinue(topLayer, overlap, size, delta, overhangSize, direction) {
     // Cut the block
-    topLayer.cut(overlap, size, delta);
-    
-    // Update physics body shape
-    this.physicsManager.updateBodyShape(
-      topLayer.physicsBody,
-      topLayer.width,
-      GAME_CONFIG.BOX_HEIGHT,
-      topLayer.depth
-    );
+    topLayer.cut(overlap, delta);
+    this.events.emit(EVENTS.BLOCK_CHANGED, { block: topLayer });
 
     // Create overhang
     const overhangShift = (overlap / 2 + overhangSize / 2) * Math.sign(delta);
@@ -186,18 +549,136 @@ export class GameLogic {
     const overhangWidth = direction === DIRECTIONS.X ? overhangSize : topLayer.width;
     const overhangDepth = direction === DIRECTIONS.Z ? overhangSize : topLayer.depth;
 
-    this.addOverhang(overhangX, overhangZ, overhangWidth, overhangDepth);
+    const overhang = this.addOverhang(overhangX, overhangZ, overhangWidth, overhangDepth);
+    this.events.emit(EVENTS.BLOCK_CUT, { block: topLayer, overhang, overhangSize });
+
+    this.breakCombo();
+    const powerUp = this.collectPowerUp(topLayer, overlap / size);
+    this.addNextLayer(topLayer, direction, 0, powerUp);
+  }
+
+  /**
+   * Activate the power-up a landed layer carries if enough of it stayed on the stack
+   * @param {Block} block
+   * @param {number} overlapRatio - Fraction of the block's width that landed
+   * @returns {string|null} The power-up activated, if any
+   */
+  collectPowerUp(block, overlapRatio) {
+    const type = block.powerUp;
+    if (!type) return null;
+
+    block.powerUp = null;
+    if (overlapRatio < GAME_CONFIG.POWER_UP_MIN_OVERLAP) {
+      this.events.emit(EVENTS.POWER_UP_LOST, { block, type });
+      return null;
+    }
+
+    // Widen isn't kept: addNextLayer applies it to the layer about to spawn
+    if (type === POWER_UP_TYPES.SLOW_MOTION) {
+      const duration = GAME_CONFIG.POWER_UP_SLOW_DURATION;
+      this.powerUps[type] = { remaining: duration, duration };
+    } else if (type !== POWER_UP_TYPES.WIDEN) {
+      this.powerUps[type] = { remaining: null, duration: null };
+    }
+
+    this.events.emit(EVENTS.POWER_UP_ACTIVATED, { block, type });
+    this.emitPowerUps();
+    return type;
+  }
+
+  /**
+   * Use up a one-shot power-up
+   * @param {string} type
+   * @returns {boolean} Whether it was active
+   */
+  consumePowerUp(type) {
+    if (!this.powerUps[type]) return false;
+
+    delete this.powerUps[type];
+    this.events.emit(EVENTS.POWER_UP_EXPIRED, { type });
+    this.emitPowerUps();
+    return true;
+  }
+
+  /**
+   * Count down timed power-ups
+   * @param {number} deltaTime
+   */
+  updatePowerUps(deltaTime) {
+    const timed = Object.keys(this.powerUps).filter(type => this.powerUps[type].remaining !== null);
+    if (timed.length === 0) return;
+
+    // The HUD shows whole seconds and a percentage bar, so only a change in either is news
+    let hasChanged = false;
+    timed.forEach(type => {
+      const before = this.describeRemaining(this.powerUps[type]);
+      this.powerUps[type].remaining -= deltaTime;
+      if (this.powerUps[type].remaining <= 0) {
+        delete this.powerUps[type];
+        this.events.emit(EVENTS.POWER_UP_EXPIRED, { type });
+        hasChanged = true;
+      } else if (this.describeRemaining(this.powerUps[type]) !== before) {
+        hasChanged = true;
+      }
+    });
+    if (hasChanged) {
+      this.emitPowerUps();
+    }
+  }
+
+  /**
+   * Summarise a timed power-up's remaining time as it is displayed
+   * @param {Object} powerUp - { remaining, duration }
+   * @returns {string} Whole seconds and whole percent left
+   */
+  describeRemaining({ remaining, duration }) {
+    return `${Math.ceil(remaining / 1000)}:${Math.ceil((remaining / duration) * 100)}`;
+  }
+
+  /**
+   * Drop every active power-up, e.g. between runs
+   */
+  clearPowerUps() {
+    if (Object.keys(this.powerUps).length === 0) return;
 
-    // Add next layer
-    const nextX = direction === DIRECTIONS.X ? topLayer.getPosition('x') : -10;
-    const nextZ = direction === DIRECTIONS.Z ? topLayer.getPosition('z') : -10;
+    this.powerUps = {};
+    this.emitPowerUps();
+  }
+
+  /**
+   * Notify listeners of the active power-ups and their remaining time
+   */
+  emitPowerUps() {
+    this.events.emit(EVENTS.POWER_UPS_CHANGED, { powerUps: this.getActivePowerUps() });
+  }
+
+  /**
+   * Update the score and spawn the next moving layer on top of the placed one
+   * @param {Block} topLayer 
+   * @param {string} direction 
+   * @param {number} [growth=0] - Size the next layer gains on both axes, up to ORIGINAL_BOX_SIZE
+   * @param {string|null} [powerUp=null] - Power-up the placed layer just activated
+   */
+  addNextLayer(topLayer, direction, growth = 0, powerUp = null) {
     const nextDirection = direction === DIRECTIONS.X ? DIRECTIONS.Z : DIRECTIONS.X;
+    // Widen lengthens the next layer along the axis it travels, where it decides the overlap
+    const widen = powerUp === POWER_UP_TYPES.WIDEN ? GAME_CONFIG.POWER_UP_WIDEN_AMOUNT : 0;
+    const grow = (size, axis) => {
+      const amount = growth + (axis === nextDirection ? widen : 0);
+      return amount > 0 ? Math.min(size + amount, GAME_CONFIG.ORIGINAL_BOX_SIZE) : size;
+    };
 
     // Update score
     this.score = this.stack.length - 1;
-    gameEvents.emit(EVENTS.SCORE_UPDATE, this.score);
+    this.events.emit(EVENTS.SCORE_UPDATE, this.score);
 
-    this.addLayer(nextX, nextZ, topLayer.width, topLayer.depth, nextDirection);
+    this.spawnMovingLayer(
+      topLayer.getPosition('x'),
+      topLayer.getPosition('z'),
+      grow(topLayer.width, DIRECTIONS.X),
+      grow(topLayer.depth, DIRECTIONS.Z),
+      nextDirection
+    );
   }
 
   /**
@@ -214,67 +695,130 @@ export class GameLogic {
       topLayer.depth
     );
     
-    // Remove from stack and scene
-    this.physicsManager.removeBody(topLayer.physicsBody);
-    this.renderManager.removeFromScene(topLayer.mesh);
+    // Remove from stack
     this.stack.pop();
+    this.events.emit(EVENTS.BLOCK_REMOVED, { block: topLayer });
+    this.events.emit(EVENTS.BLOCK_MISSED, { block: topLayer });
 
+    this.breakCombo();
+    this.clearPowerUps();
     this.isGameEnded = true;
     
-    if (!this.isAutopilot) {
-      gameEvents.emit(EVENTS.GAME_OVER);
+    if (this.isAutopilot) {
+      // Let the last block fall, then the demo starts over
+      this.restartTimer = GAME_CONFIG.AUTOPILOT_RESTART_DELAY;
+    } else {
+      this.events.emit(EVENTS.GAME_OVER, {
+        score: this.score,
+        tick: this.tick,
+        mode: this.mode,
+        difficulty: this.difficultyName,
+        perfects: this.perfectCount,
+        duration: this.tick * GAME_CONFIG.SIMULATION_STEP_MS
+      });
     }
   }
 
   /**
-   * Update game logic
-   * @param {number} deltaTime 
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Step length in milliseconds
    */
   update(deltaTime) {
+    this.tick++;
+    this.updateOverhangs();
+    
+    if (this.isGameEnded) {
+      this.updateRestart(deltaTime);
+      return;
+    }
+    
     if (this.stack.length < 2) return;
 
     const topLayer = this.stack[this.stack.length - 1];
-    const previousLayer = this.stack[this.stack.length - 2];
-
-    // Update camera position
-    const targetCameraY = GAME_CONFIG.BOX_HEIGHT * (this.stack.length - 2);
-    this.renderManager.updateCameraPosition(targetCameraY, deltaTime);
-
-    // Check if block should move
-    const shouldMove = this.shouldBlockMove(topLayer, previousLayer);
-    
-    if (shouldMove) {
-      this.moveBlock(topLayer, deltaTime);
-      
-      // Check if block is out of bounds
-      if (topLayer.isOutOfBounds()) {
-        this.missBlock();
+    topLayer.storePreviousPosition();
+    this.updatePowerUps(deltaTime);
+
+    // The robot decides before the block moves
+    const pilot = this.isAutopilot ? this.autopilot : this.pilot;
+    if (pilot && pilot.shouldDrop(this, deltaTime)) {
+      if (this.isAutopilot) {
+        this.splitBlockAndAddNext();
+      } else {
+        this.dropBlock();
       }
-    } else if (this.isAutopilot) {
-      this.splitBlockAndAddNext();
-      this.setRobotPrecision();
+      return;
     }
-
-    // Update physics for overhangs
-    this.updateOverhangs();
+    
+    this.moveBlock(topLayer, deltaTime);
+    this.recordTopPosition(topLayer);
+    this.updateAlignment(topLayer);
+    
+    // Check if block is out of bounds
+    if (this.mode === GAME_MODES.SUDDEN_DEATH && topLayer.isOutOfBounds(topLayer.travelDistance)) {
+      this.missBlock();
+      return;
+    }
+    
+    this.applyPendingDrop();
   }
 
   /**
-   * Check if the block should move
+   * Tell listeners when the moving block slides into line with the one below,
+   * once each time it enters the perfect zone
    * @param {Block} topLayer 
-   * @param {Block} previousLayer 
-   * @returns {boolean}
    */
-  shouldBlockMove(topLayer, previousLayer) {
-    if (this.isGameEnded) return false;
+  updateAlignment(topLayer) {
+    const previousLayer = this.stack[this.stack.length - 2];
+    const direction = topLayer.direction;
+    const offset = topLayer.getPosition(direction) - previousLayer.getPosition(direction);
+    const isAligned = Math.abs(offset) <= GAME_CONFIG.PERFECT_TOLERANCE;
     
-    if (!this.isAutopilot) return true;
+    if (isAligned && !this.isAligned && !this.isAutopilot) {
+      this.events.emit(EVENTS.BLOCK_ALIGNED, { block: topLayer });
+    }
+    this.isAligned = isAligned;
+  }
+
+  /**
+   * Remove debris that has been around too long, exceeds the count limit, or
+   * fell from so far below the top that it's off camera
+   */
+  updateOverhangs() {
+    if (this.overhangs.length === 0) return;
     
-    // Autopilot logic
-    const currentPos = topLayer.getPosition(topLayer.direction);
-    const targetPos = previousLayer.getPosition(topLayer.direction) + this.robotPrecision;
+    const maxAge = GAME_CONFIG.OVERHANG_LIFETIME / GAME_CONFIG.SIMULATION_STEP_MS;
+    const lowestVisible = this.stack.length - GAME_CONFIG.OVERHANG_CULL_LAYERS;
+    const excess = this.overhangs.length - GAME_CONFIG.OVERHANG_MAX_COUNT;
+    
+    // Overhangs are kept oldest first
+    const expired = this.overhangs.filter((overhang, index) =>
+      index < excess ||
+      this.tick - overhang.spawnTick > maxAge ||
+      overhang.stackIndex < lowestVisible
+    );
+    expired.forEach(overhang => this.removeOverhang(overhang));
+  }
+
+  /**
+   * Drop a piece of debris from the simulation
+   * @param {Block} overhang 
+   */
+  removeOverhang(overhang) {
+    this.overhangs = this.overhangs.filter(candidate => candidate !== overhang);
+    this.events.emit(EVENTS.BLOCK_REMOVED, { block: overhang });
+  }
+
+  /**
+   * Count down to restarting attract mode after the robot misses
+   * @param {number} deltaTime 
+   */
+  updateRestart(deltaTime) {
+    if (!this.isAutopilot) return;
     
-    return currentPos < targetPos;
+    this.restartTimer -= deltaTime;
+    if (this.restartTimer <= 0) {
+      this.startAttractMode();
+    }
   }
 
   /**
@@ -283,44 +827,68 @@ export class GameLogic {
    * @param {number} deltaTime 
    */
   moveBlock(block, deltaTime) {
-    const speed = GAME_CONFIG.MOVEMENT_SPEED;
-    const delta = speed * deltaTime;
-    block.updatePosition(block.direction, delta);
+    const direction = block.direction;
+    
+    const speed = block.speed * this.getSpeedFactor();
+    
+    if (this.mode === GAME_MODES.SUDDEN_DEATH) {
+      block.updatePosition(direction, speed * deltaTime * block.travelSign);
+      return;
+    }
+    
+    // Ping-pong: bounce off the travel bounds, slowing near them
+    const bound = block.travelDistance;
+    const position = block.getPosition(direction);
+    const delta = speed * deltaTime * block.travelSign * this.getEaseFactor(block);
+    let next = position + delta;
+    
+    if (Math.abs(next) > bound) {
+      const edge = Math.sign(next) * bound;
+      next = edge - (next - edge);
+      block.travelSign = -block.travelSign;
+    }
+    
+    block.updatePosition(direction, next - position);
   }
 
   /**
-   * Update overhang physics
+   * Speed multiplier from active power-ups
+   * @returns {number}
    */
-  updateOverhangs() {
-    this.overhangs.forEach(overhang => {
-      overhang.updateFromPhysics();
-    });
+  getSpeedFactor() {
+    return this.powerUps[POWER_UP_TYPES.SLOW_MOTION] ? GAME_CONFIG.POWER_UP_SLOW_FACTOR : 1;
   }
 
   /**
-   * Set random robot precision for autopilot
+   * Speed multiplier that eases a ping-pong block in and out of its turning points
+   * @param {Block} block 
+   * @returns {number} Factor in [OSCILLATION_EASE_MIN_SPEED, 1]
    */
-  setRobotPrecision() {
-    this.robotPrecision = Math.random() * GAME_CONFIG.ROBOT_PRECISION_RANGE - 0.5;
+  getEaseFactor(block) {
+    const zone = block.travelDistance * GAME_CONFIG.OSCILLATION_EASE_ZONE;
+    if (zone <= 0) return 1;
+    
+    const distanceToEnd = block.travelDistance - Math.abs(block.getPosition(block.direction));
+    const t = Math.min(Math.max(distanceToEnd / zone, 0), 1);
+    const smooth = t * t * (3 - 2 * t);
+    const minSpeed = GAME_CONFIG.OSCILLATION_EASE_MIN_SPEED;
+    
+    return minSpeed + (1 - minSpeed) * smooth;
   }
 
   /**
    * Clear all game objects
    */
   clearGame() {
-    // Clear physics bodies
-    this.physicsManager.clearBodies();
-    
-    // Clear visual objects
-    this.renderManager.clearMeshes();
-    
-    // Dispose blocks
-    [...this.stack, ...this.overhangs].forEach(block => {
-      block.dispose();
-    });
+    const blocks = [...this.stack, ...this.overhangs];
     
     this.stack = [];
     this.overhangs = [];
+    this.topHistory = [];
+    this.historyBlock = null;
+    this.pendingDropTick = null;
+    
+    this.events.emit(EVENTS.STACK_CLEARED, { blocks });
   }
 
   /**
@@ -339,6 +907,62 @@ export class GameLogic {
     return this.score;
   }
 
+  /**
+   * Get the seed the current run was started with
+   * @returns {number}
+   */
+  getSeed() {
+    return this.random.seed;
+  }
+
+  /**
+   * Get the number of simulation steps since the run started
+   * @returns {number}
+   */
+  getTick() {
+    return this.tick;
+  }
+
+  /**
+   * Get the game mode of the current run
+   * @returns {string}
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get the difficulty preset of the current run
+   * @returns {string}
+   */
+  getDifficulty() {
+    return this.difficultyName;
+  }
+
+  /**
+   * Get the number of perfect placements in the current run
+   * @returns {number}
+   */
+  getPerfectCount() {
+    return this.perfectCount;
+  }
+
+  /**
+   * Get current perfect-placement streak
+   * @returns {number}
+   */
+  getCombo() {
+    return this.combo;
+  }
+
+  /**
+   * Get the active power-ups
+   * @returns {Object[]} { type, remaining, duration } entries; times are in milliseconds, or null until used
+   */
+  getActivePowerUps() {
+    return Object.entries(this.powerUps).map(([type, { remaining, duration }]) => ({ type, remaining, duration }));
+  }
+
   /**
    * Check if game is in autopilot mode
    * @returns {boolean}
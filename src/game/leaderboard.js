@@ -0,0 +1,204 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { loadJSON, saveJSON } from '../core/storage.js';
+
+export const LEADERBOARD_SCHEMA_VERSION = 3;
+
+/**
+ * Upgrades keyed by the version they upgrade *from*. Each receives data in
+ * that version's shape and returns data in the next version's shape.
+ */
+const MIGRATIONS = {
+  // v1 kept one list per mode; v2 splits each mode by difficulty. v1 runs
+  // were played at the fixed speed that is now the Normal preset's start.
+  1: data => ({
+    version: 2,
+    modes: Object.fromEntries(
+      Object.entries(data.modes || {}).map(([mode, entries]) => [`${mode}:normal`, entries])
+    )
+  }),
+  // Before v3 every run was one-way movement, which is now the sudden death mode
+  2: data => ({
+    version: 3,
+    modes: Object.fromEntries(
+      Object.entries(data.modes || {}).map(([board, entries]) => [
+        board.replace(/^classic:/, 'sudden_death:'),
+        entries
+      ])
+    )
+  })
+};
+
+const MAX_NAME_LENGTH = 16;
+
+/**
+ * Check that a stored entry has every field with a sane type
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return Boolean(entry) &&
+    typeof entry.id === 'string' &&
+    typeof entry.name === 'string' &&
+    Number.isInteger(entry.score) && entry.score >= 0 &&
+    typeof entry.date === 'string' && !Number.isNaN(Date.parse(entry.date)) &&
+    Number.isInteger(entry.perfects) && entry.perfects >= 0 &&
+    Number.isFinite(entry.duration) && entry.duration >= 0;
+}
+
+/**
+ * Rank entries best first; earlier runs win ties
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareEntries(a, b) {
+  return b.score - a.score || a.date.localeCompare(b.date);
+}
+
+/**
+ * Persistent top-N score lists, one per game mode
+ */
+export class Leaderboard {
+  constructor(storageKey = GAME_CONFIG.LEADERBOARD_STORAGE_KEY, size = GAME_CONFIG.LEADERBOARD_SIZE) {
+    this.storageKey = storageKey;
+    this.size = size;
+    this.modes = {};
+    this.isReadOnly = false;
+  }
+
+  /**
+   * Load the leaderboard from storage, migrating or discarding bad data
+   */
+  load() {
+    const data = this.migrate(loadJSON(this.storageKey));
+    this.modes = {};
+    if (!data) return;
+
+    Object.entries(data.modes || {}).forEach(([mode, entries]) => {
+      if (!Array.isArray(entries)) return;
+
+      const valid = entries.filter(isValidEntry);
+      if (valid.length !== entries.length) {
+        console.warn(`Dropped ${entries.length - valid.length} invalid leaderboard entries for "${mode}"`);
+      }
+      this.modes[mode] = valid.sort(compareEntries).slice(0, this.size);
+    });
+  }
+
+  /**
+   * Bring stored data up to the current schema version
+   * @param {*} data
+   * @returns {Object|null} Current-schema data, or null to start empty
+   */
+  migrate(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      if (data !== null) {
+        console.warn('Leaderboard data is unrecognized, starting fresh');
+      }
+      return null;
+    }
+
+    if (data.version > LEADERBOARD_SCHEMA_VERSION) {
+      // Written by a newer build: use nothing, overwrite nothing
+      console.warn(`Leaderboard schema v${data.version} is newer than supported v${LEADERBOARD_SCHEMA_VERSION}`);
+      this.isReadOnly = true;
+      return null;
+    }
+
+    let migrated = data;
+    while (migrated.version < LEADERBOARD_SCHEMA_VERSION) {
+      const upgrade = MIGRATIONS[migrated.version];
+      if (!upgrade) {
+        console.warn(`No leaderboard migration from v${migrated.version}, starting fresh`);
+        return null;
+      }
+      migrated = upgrade(migrated);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Write the leaderboard to storage
+   */
+  save() {
+    if (this.isReadOnly) return;
+
+    saveJSON(this.storageKey, {
+      version: LEADERBOARD_SCHEMA_VERSION,
+      modes: this.modes
+    });
+  }
+
+  /**
+   * Get the ranked entries for a mode
+   * @param {string} mode
+   * @returns {Object[]}
+   */
+  getEntries(mode) {
+    return this.modes[mode] || [];
+  }
+
+  /**
+   * Check if a score would make it onto a mode's list
+   * @param {string} mode
+   * @param {number} score
+   * @returns {boolean}
+   */
+  qualifies(mode, score) {
+    if (score <= 0) return false;
+
+    const entries = this.getEntries(mode);
+    return entries.length < this.size || score > entries[entries.length - 1].score;
+  }
+
+  /**
+   * Add a finished run if it qualifies
+   * @param {string} mode
+   * @param {Object} run - { name, score, perfects, duration }
+   * @returns {Object|null} The stored entry, or null if it didn't qualify
+   */
+  addEntry(mode, { name, score, perfects, duration }) {
+    if (!this.qualifies(mode, score)) return null;
+
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: Leaderboard.sanitizeName(name),
+      score,
+      date: new Date().toISOString(),
+      perfects,
+      duration: Math.round(duration)
+    };
+
+    this.modes[mode] = [...this.getEntries(mode), entry]
+      .sort(compareEntries)
+      .slice(0, this.size);
+    this.save();
+
+    return entry;
+  }
+
+  /**
+   * Change the player name on an existing entry
+   * @param {string} mode
+   * @param {string} id
+   * @param {string} name
+   */
+  renameEntry(mode, id, name) {
+    const entry = this.getEntries(mode).find(candidate => candidate.id === id);
+    if (!entry) return;
+
+    entry.name = Leaderboard.sanitizeName(name);
+    this.save();
+  }
+
+  /**
+   * Trim and bound a player name
+   * @param {string} name
+   * @returns {string}
+   */
+  static sanitizeName(name) {
+    const trimmed = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+    return trimmed || 'Player';
+  }
+}
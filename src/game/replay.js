@@ -0,0 +1,410 @@
+import { GAME_CONFIG, GAME_MODES } from '../config/game_config.js';
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { DifficultyCurve } from './difficulty.js';
+import { configService } from '../core/config_service.js';
+
+export const REPLAY_FORMAT_VERSION = 5;
+
+/**
+ * Upgrades keyed by the version they upgrade *from*
+ */
+const MIGRATIONS = {
+  // v1 predates difficulty curves: blocks always moved at the configured speed
+  1: replay => ({
+    ...replay,
+    version: 2,
+    difficulty: 'legacy',
+    // Curves scale with the recorded MOVEMENT_SPEED, so the base speed reproduces it
+    difficultyCurve: DifficultyCurve.constant().description
+  }),
+  // v2 predates ping-pong movement: every run was one-way
+  2: replay => ({
+    ...replay,
+    version: 3,
+    mode: GAME_MODES.SUDDEN_DEATH
+  }),
+  // v3 predates power-ups; with no chance of one the random sequence is unchanged
+  3: replay => ({
+    ...replay,
+    version: 4,
+    config: { ...replay.config, POWER_UP_CHANCE: {} }
+  }),
+  // v4 predates latency compensation: every drop landed where the block was at its tick
+  4: replay => ({
+    ...replay,
+    version: 5,
+    rewinds: Array.isArray(replay.placements) ? replay.placements.map(() => 0) : []
+  })
+};
+
+// Extra ticks played after the final placement so the last fall is visible
+const REPLAY_TAIL_TICKS = 240;
+
+// GAME_CONFIG keys a replay carries: the ones that change how the run plays out.
+// Everything else in a recorded snapshot (storage keys, element ids, presentation) is dropped.
+const REPLAY_CONFIG_KEYS = [
+  'GRAVITY',
+  'SOLVER_ITERATIONS',
+  'BOX_HEIGHT',
+  'ORIGINAL_BOX_SIZE',
+  'BOX_FALL_MASS',
+  'SIMULATION_STEP_MS',
+  'INPUT_MAX_REWIND_MS',
+  'MOVEMENT_SPEED',
+  'OSCILLATION_EASE_ZONE',
+  'OSCILLATION_EASE_MIN_SPEED',
+  'PERFECT_TOLERANCE',
+  'COMBO_REGROW_THRESHOLD',
+  'COMBO_REGROW_AMOUNT',
+  'POWER_UP_CHANCE',
+  'POWER_UP_MIN_OVERLAP',
+  'POWER_UP_SLOW_DURATION',
+  'POWER_UP_SLOW_FACTOR',
+  'POWER_UP_WIDEN_AMOUNT'
+];
+
+/**
+ * Keep only the simulation keys of a recorded config, checking each against the config schema
+ * @param {Object} config - Recorded GAME_CONFIG snapshot
+ * @returns {Object} The simulation values, keyed by GAME_CONFIG key
+ * @throws {Error} If a kept value is the wrong type or out of range
+ */
+function pickReplayConfig(config) {
+  const picked = {};
+  REPLAY_CONFIG_KEYS.filter(key => Object.hasOwn(config, key)).forEach(key => {
+    const name = configService.findName(key);
+    const error = configService.validate(name, config[key]);
+    if (error) {
+      throw new Error(`Replay config is invalid: ${error}`);
+    }
+    picked[key] = configService.parse(name, config[key]);
+  });
+  return picked;
+}
+
+/**
+ * Serialize a replay to a JSON string
+ * @param {Object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay JSON string
+ * @param {string} json
+ * @returns {Object} The replay
+ * @throws {Error} If the file is not a valid replay
+ */
+export function parseReplay(json) {
+  let replay;
+  try {
+    replay = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay file is empty');
+  }
+  while (MIGRATIONS[replay.version]) {
+    replay = MIGRATIONS[replay.version](replay);
+  }
+  if (replay.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (!Object.values(GAME_MODES).includes(replay.mode)) {
+    throw new Error(`Unknown replay game mode: ${replay.mode}`);
+  }
+  if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+    throw new Error('Replay seed is missing or invalid');
+  }
+  if (!replay.config || typeof replay.config !== 'object') {
+    throw new Error('Replay config snapshot is missing');
+  }
+  replay = { ...replay, config: pickReplayConfig(replay.config) };
+
+  const placements = replay.placements;
+  const isSorted = Array.isArray(placements) && placements.every((tick, i) =>
+    Number.isInteger(tick) && tick >= 0 && (i === 0 || tick >= placements[i - 1])
+  );
+  if (!isSorted) {
+    throw new Error('Replay placements must be ascending tick numbers');
+  }
+  const rewinds = replay.rewinds;
+  const isValidRewinds = Array.isArray(rewinds) && rewinds.length === placements.length &&
+    rewinds.every(rewind => Number.isFinite(rewind) && rewind >= 0);
+  if (!isValidRewinds) {
+    throw new Error('Replay rewinds must be one non-negative number per placement');
+  }
+  try {
+    new DifficultyCurve(replay.difficultyCurve);
+  } catch (error) {
+    throw new Error(`Replay difficulty is invalid: ${error.message}`);
+  }
+  if (!Number.isInteger(replay.endTick) || replay.endTick < (placements[placements.length - 1] ?? 0)) {
+    throw new Error('Replay end tick is missing or invalid');
+  }
+
+  return replay;
+}
+
+/**
+ * Records the seed, config and input ticks of each run
+ */
+export class ReplayRecorder {
+  constructor() {
+    this.current = null;
+    this.lastReplay = null;
+    this.isEnabled = true;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    gameEvents.on(EVENTS.GAME_START, this.handleGameStart.bind(this));
+    // A continued run didn't start from its seed here, so it can't be replayed
+    gameEvents.on(EVENTS.RUN_RESTORED, () => { this.current = null; });
+    gameEvents.on(EVENTS.BLOCK_DROPPED, this.handleBlockDropped.bind(this));
+    gameEvents.on(EVENTS.GAME_OVER, this.handleGameOver.bind(this));
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => { this.isEnabled = false; });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => { this.isEnabled = true; });
+  }
+
+  /**
+   * Begin a new recording
+   * @param {Object} data - { seed, mode, difficulty, difficultyCurve }
+   */
+  handleGameStart({ seed, mode, difficulty, difficultyCurve }) {
+    if (!this.isEnabled) return;
+
+    this.current = {
+      version: REPLAY_FORMAT_VERSION,
+      seed,
+      mode,
+      difficulty,
+      difficultyCurve,
+      config: Object.fromEntries(REPLAY_CONFIG_KEYS.map(key => [key, GAME_CONFIG[key]])),
+      placements: [],
+      rewinds: [],
+      endTick: 0,
+      score: 0,
+      recordedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Log the tick of an accepted placement and how far it was rewound
+   * @param {Object} data - { tick, rewind }
+   */
+  handleBlockDropped({ tick, rewind }) {
+    if (!this.isEnabled || !this.current) return;
+
+    this.current.placements.push(tick);
+    this.current.rewinds.push(rewind);
+  }
+
+  /**
+   * Finish the current recording
+   * @param {Object} data - { score, tick }
+   */
+  handleGameOver({ score, tick }) {
+    if (!this.isEnabled || !this.current) return;
+
+    this.current.score = score;
+    this.current.endTick = tick;
+    this.lastReplay = this.current;
+    this.current = null;
+  }
+
+  /**
+   * Get the most recently finished replay
+   * @returns {Object|null}
+   */
+  getLastReplay() {
+    return this.lastReplay;
+  }
+}
+
+/**
+ * Feeds a recorded replay back into the game logic
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Object} game - Object exposing `gameLogic` and `step(stepMs)`
+   */
+  constructor(game) {
+    this.game = game;
+    this.replay = null;
+    this.savedConfig = null;
+    this.nextPlacement = 0;
+    this.speed = 1;
+    this.isActive = false;
+    this.isPaused = false;
+  }
+
+  /**
+   * Start playing a replay from the beginning
+   * @param {Object} replay
+   */
+  play(replay) {
+    if (this.isActive) this.stop();
+
+    this.replay = replay;
+    this.savedConfig = { ...GAME_CONFIG };
+    configService.assign(replay.config);
+
+    this.isActive = true;
+    this.isPaused = false;
+    this.game.gameLogic.setInputEnabled(false);
+
+    gameEvents.emit(EVENTS.REPLAY_STARTED, { replay });
+    this.restart();
+    this.emitState();
+  }
+
+  /**
+   * Stop playback, restore the player's own config and go back to the menu
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    configService.restore(this.savedConfig);
+    this.savedConfig = null;
+    this.isActive = false;
+    this.isPaused = false;
+    this.game.gameLogic.setInputEnabled(true);
+
+    // Listeners restore the player's own mode and difficulty before the menu restarts
+    gameEvents.emit(EVENTS.REPLAY_STOPPED, { replay: this.replay });
+    this.game.gameLogic.startAttractMode();
+  }
+
+  /**
+   * Pause or resume playback
+   */
+  togglePause() {
+    if (!this.isActive) return;
+
+    // Resuming at the end starts over
+    if (this.isPaused && this.isFinished()) {
+      this.restart();
+    }
+
+    this.isPaused = !this.isPaused;
+    this.emitState();
+  }
+
+  /**
+   * Set the playback speed multiplier
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    this.emitState();
+  }
+
+  /**
+   * Jump to a tick by replaying the run from the start up to it
+   * @param {number} tick
+   */
+  seek(tick) {
+    if (!this.isActive) return;
+
+    const target = Math.max(0, Math.min(tick, this.getTotalTicks()));
+    gameEvents.emit(EVENTS.REPLAY_SEEKING, { isSeeking: true });
+    if (target < this.game.gameLogic.getTick()) {
+      this.restart();
+    }
+
+    const stepMs = GAME_CONFIG.SIMULATION_STEP_MS;
+    while (this.game.gameLogic.getTick() < target) {
+      this.game.step(stepMs);
+    }
+    gameEvents.emit(EVENTS.REPLAY_SEEKING, { isSeeking: false });
+    this.emitState();
+  }
+
+  /**
+   * Reset the game to the replay's seed
+   */
+  restart() {
+    this.nextPlacement = 0;
+    this.game.gameLogic.setMode(this.replay.mode);
+    this.game.gameLogic.setDifficulty(
+      this.replay.difficulty,
+      new DifficultyCurve(this.replay.difficultyCurve)
+    );
+    this.game.gameLogic.startGame(this.replay.seed);
+  }
+
+  /**
+   * Apply any recorded placements due at the current tick; called before each step
+   */
+  applyInputs() {
+    if (!this.isActive) return;
+
+    const gameLogic = this.game.gameLogic;
+    const placements = this.replay.placements;
+
+    while (
+      this.nextPlacement < placements.length &&
+      placements[this.nextPlacement] <= gameLogic.getTick()
+    ) {
+      gameLogic.dropBlock(this.replay.rewinds[this.nextPlacement]);
+      this.nextPlacement++;
+    }
+  }
+
+  /**
+   * Called once per frame to pause automatically at the end
+   */
+  update() {
+    if (!this.isActive || this.isPaused) return;
+
+    if (this.isFinished()) {
+      this.isPaused = true;
+    }
+    this.emitState();
+  }
+
+  /**
+   * Multiplier applied to frame time while replaying
+   * @returns {number}
+   */
+  getTimeScale() {
+    return this.isPaused ? 0 : this.speed;
+  }
+
+  /**
+   * Total length of the replay in ticks
+   * @returns {number}
+   */
+  getTotalTicks() {
+    return this.replay ? this.replay.endTick + REPLAY_TAIL_TICKS : 0;
+  }
+
+  /**
+   * Check if playback reached the end
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.game.gameLogic.getTick() >= this.getTotalTicks();
+  }
+
+  /**
+   * Notify listeners of playback progress
+   */
+  emitState() {
+    gameEvents.emit(EVENTS.REPLAY_STATE_CHANGED, {
+      tick: Math.min(this.game.gameLogic.getTick(), this.getTotalTicks()),
+      totalTicks: this.getTotalTicks(),
+      isPaused: this.isPaused,
+      speed: this.speed
+    });
+  }
+}
@@ -0,0 +1,185 @@
+import { GAME_CONFIG, DIRECTIONS, GAME_MODES } from '../config/game_config.js';
+import { POWER_UP_TYPES } from '../config/power_ups.js';
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { loadJSON, saveJSON, removeItem } from '../core/storage.js';
+
+export const SAVE_SCHEMA_VERSION = 1;
+
+/**
+ * Check that a saved block has every field with a sane type
+ * @param {*} block
+ * @returns {boolean}
+ */
+function isValidBlock(block) {
+  return Boolean(block) &&
+    ['x', 'y', 'z', 'speed', 'travelDistance'].every(key => Number.isFinite(block[key])) &&
+    Number.isFinite(block.width) && block.width > 0 &&
+    Number.isFinite(block.depth) && block.depth > 0 &&
+    (block.direction === null || Object.values(DIRECTIONS).includes(block.direction)) &&
+    Number.isInteger(block.spawnTick) && block.spawnTick >= 0 &&
+    (block.travelSign === 1 || block.travelSign === -1) &&
+    (block.powerUp === null || Object.values(POWER_UP_TYPES).includes(block.powerUp));
+}
+
+/**
+ * Check that a saved power-up has every field with a sane type
+ * @param {*} powerUp
+ * @returns {boolean}
+ */
+function isValidPowerUp(powerUp) {
+  return Boolean(powerUp) &&
+    Object.values(POWER_UP_TYPES).includes(powerUp.type) &&
+    (powerUp.remaining === null || Number.isFinite(powerUp.remaining)) &&
+    (powerUp.duration === null || Number.isFinite(powerUp.duration));
+}
+
+/**
+ * Check that a snapshot from GameLogic.createSnapshot can be continued
+ * @param {*} snapshot
+ * @returns {boolean}
+ */
+function isValidSnapshot(snapshot) {
+  return Boolean(snapshot) &&
+    Number.isInteger(snapshot.seed) &&
+    Number.isInteger(snapshot.randomState) &&
+    Number.isInteger(snapshot.tick) && snapshot.tick >= 0 &&
+    Object.values(GAME_MODES).includes(snapshot.mode) &&
+    typeof snapshot.difficulty === 'string' &&
+    Boolean(snapshot.difficultyCurve) && typeof snapshot.difficultyCurve === 'object' &&
+    Number.isInteger(snapshot.score) && snapshot.score >= 0 &&
+    Number.isInteger(snapshot.combo) && snapshot.combo >= 0 &&
+    Number.isInteger(snapshot.perfects) && snapshot.perfects >= 0 &&
+    Array.isArray(snapshot.powerUps) && snapshot.powerUps.every(isValidPowerUp) &&
+    // The base plus the moving layer at least; only the top layer moves
+    Array.isArray(snapshot.stack) && snapshot.stack.length >= 2 && snapshot.stack.every(isValidBlock) &&
+    snapshot.stack[snapshot.stack.length - 1].direction !== null;
+}
+
+/**
+ * Keeps the single-player run in storage so closing the tab doesn't lose it.
+ * Saves after every landed layer, on pause and when the page unloads; a
+ * finished or newly started run discards the save.
+ */
+export class RunSaver {
+  /**
+   * @param {Object} game - Object exposing `gameLogic`, `canPauseGame()` and `dailyRunner`
+   * @param {string} storageKey
+   */
+  constructor(game, storageKey = GAME_CONFIG.SAVE_STORAGE_KEY) {
+    this.game = game;
+    this.storageKey = storageKey;
+    this.isReadOnly = false;
+
+    this.setupGameEventListeners();
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    // A layer spawning puts the tower between two drops. Layers re-added by
+    // a restore keep their old spawn tick, so continuing doesn't save per layer.
+    gameEvents.on(EVENTS.LAYER_ADDED, ({ block }) => {
+      if (block.spawnTick === this.game.gameLogic.getTick()) this.save();
+    });
+    gameEvents.on(EVENTS.GAME_PAUSED, () => this.save());
+    gameEvents.on(EVENTS.GAME_START, () => this.clear());
+    gameEvents.on(EVENTS.GAME_OVER, () => this.clear());
+  }
+
+  /**
+   * Check if the current run is one the player can come back to
+   * @returns {boolean}
+   */
+  canSave() {
+    if (this.isReadOnly || !this.game.canPauseGame()) return false;
+    // A daily attempt is used up when it starts; continuing it would grant another try
+    if (this.game.dailyRunner && this.game.dailyRunner.isActive()) return false;
+
+    return this.game.gameLogic.getScore() > 0;
+  }
+
+  /**
+   * Write the current run to storage if it can be continued
+   * @returns {boolean} Whether a save was written
+   */
+  save() {
+    if (!this.canSave()) return false;
+
+    const snapshot = this.game.gameLogic.createSnapshot();
+    const isSaved = saveJSON(this.storageKey, {
+      version: SAVE_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      snapshot
+    });
+    if (isSaved) {
+      gameEvents.emit(EVENTS.SAVE_CHANGED, { score: snapshot.score });
+    }
+    return isSaved;
+  }
+
+  /**
+   * Read the saved run, discarding bad data
+   * @returns {Object|null} Snapshot for GameLogic.restoreSnapshot
+   */
+  load() {
+    const data = loadJSON(this.storageKey);
+    if (data === null) return null;
+
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      console.warn('Saved run is unrecognized, discarding it');
+      this.clear();
+      return null;
+    }
+
+    if (data.version > SAVE_SCHEMA_VERSION) {
+      // Written by a newer build: use nothing, overwrite nothing
+      console.warn(`Saved run schema v${data.version} is newer than supported v${SAVE_SCHEMA_VERSION}`);
+      this.isReadOnly = true;
+      return null;
+    }
+
+    if (!isValidSnapshot(data.snapshot)) {
+      console.warn('Saved run is invalid, discarding it');
+      this.clear();
+      return null;
+    }
+    return data.snapshot;
+  }
+
+  /**
+   * Check if there's a run to continue
+   * @returns {boolean}
+   */
+  hasSave() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Continue the saved run
+   * @returns {boolean} Whether the run was restored
+   */
+  resume() {
+    const snapshot = this.load();
+    if (!snapshot) return false;
+
+    try {
+      this.game.gameLogic.restoreSnapshot(snapshot);
+      return true;
+    } catch (error) {
+      console.warn('Failed to restore saved run, discarding it:', error);
+      this.clear();
+      return false;
+    }
+  }
+
+  /**
+   * Forget the saved run
+   */
+  clear() {
+    if (this.isReadOnly) return;
+
+    removeItem(this.storageKey);
+    gameEvents.emit(EVENTS.SAVE_CHANGED, { score: null });
+  }
+}
@@ -0,0 +1,341 @@
+import { GAME_CONFIG } from '../config/game_config.js';
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { loadJSON, saveJSON } from '../core/storage.js';
+
+export const STATS_SCHEMA_VERSION = 1;
+
+// Columns of the CSV export, one row per placement
+const CSV_COLUMNS = ['run', 'date', 'mode', 'difficulty', 'layer', 'delta', 'overlapRatio', 'reactionMs', 'isPerfect'];
+
+/**
+ * Round a measurement so stored and exported figures stay readable
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Check that a stored placement has every field with a sane type
+ * @param {*} placement
+ * @returns {boolean}
+ */
+function isValidPlacement(placement) {
+  return Boolean(placement) &&
+    Number.isInteger(placement.layer) && placement.layer >= 0 &&
+    Number.isFinite(placement.delta) &&
+    Number.isFinite(placement.overlapRatio) && placement.overlapRatio >= 0 && placement.overlapRatio <= 1 &&
+    Number.isFinite(placement.reactionMs) && placement.reactionMs >= 0 &&
+    typeof placement.isPerfect === 'boolean';
+}
+
+/**
+ * Check that a stored run has every field with a sane type
+ * @param {*} run
+ * @returns {boolean}
+ */
+function isValidRun(run) {
+  return Boolean(run) &&
+    typeof run.date === 'string' && !Number.isNaN(Date.parse(run.date)) &&
+    typeof run.mode === 'string' &&
+    typeof run.difficulty === 'string' &&
+    Number.isInteger(run.score) && run.score >= 0 &&
+    Array.isArray(run.placements) && run.placements.every(isValidPlacement);
+}
+
+/**
+ * Lifetime totals before any run was recorded
+ * @returns {Object}
+ */
+function createTotals() {
+  return {
+    runs: 0,
+    placements: 0,
+    perfects: 0,
+    misses: 0,
+    totalOffset: 0,
+    totalReactionMs: 0,
+    totalScore: 0,
+    bestScore: 0,
+    longestStreak: 0
+  };
+}
+
+/**
+ * Summarize a run's placements
+ * @param {Object[]} placements - { layer, delta, overlapRatio, reactionMs, isPerfect }
+ * @returns {Object} { placements, perfects, misses, accuracy, averageOffset, averageReactionMs, longestStreak }
+ */
+export function summarizeRun(placements) {
+  let perfects = 0;
+  let misses = 0;
+  let totalOffset = 0;
+  let totalReactionMs = 0;
+  let streak = 0;
+  let longestStreak = 0;
+
+  placements.forEach(placement => {
+    if (placement.isPerfect) {
+      perfects++;
+      streak++;
+      longestStreak = Math.max(longestStreak, streak);
+    } else {
+      streak = 0;
+    }
+    if (placement.overlapRatio === 0) {
+      misses++;
+    }
+    totalOffset += Math.abs(placement.delta);
+    totalReactionMs += placement.reactionMs;
+  });
+
+  const count = placements.length;
+  return {
+    placements: count,
+    perfects,
+    misses,
+    accuracy: count > 0 ? perfects / count : 0,
+    averageOffset: count > 0 ? totalOffset / count : 0,
+    averageReactionMs: count > 0 ? totalReactionMs / count : 0,
+    longestStreak
+  };
+}
+
+/**
+ * Serialize runs for analysis
+ * @param {Object[]} runs
+ * @returns {string}
+ */
+export function serializeStatsJSON(runs) {
+  return JSON.stringify({ version: STATS_SCHEMA_VERSION, runs }, null, 2);
+}
+
+/**
+ * Flatten runs into one CSV row per placement
+ * @param {Object[]} runs
+ * @returns {string}
+ */
+export function serializeStatsCSV(runs) {
+  const rows = [CSV_COLUMNS.join(',')];
+  runs.forEach((run, index) => {
+    run.placements.forEach(placement => {
+      rows.push([
+        index + 1,
+        run.date,
+        run.mode,
+        run.difficulty,
+        placement.layer,
+        placement.delta,
+        placement.overlapRatio,
+        placement.reactionMs,
+        placement.isPerfect
+      ].join(','));
+    });
+  });
+  return rows.join('\n');
+}
+
+/**
+ * Persistent aggregates over every run, plus the placements of the most
+ * recent runs for export
+ */
+export class LifetimeStats {
+  constructor(storageKey = GAME_CONFIG.STATS_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.totals = createTotals();
+    this.recentRuns = [];
+    this.isReadOnly = false;
+  }
+
+  /**
+   * Load stats from storage, discarding bad data
+   */
+  load() {
+    const data = loadJSON(this.storageKey);
+    this.totals = createTotals();
+    this.recentRuns = [];
+
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+      if (data !== null) {
+        console.warn('Stats data is unrecognized, starting fresh');
+      }
+      return;
+    }
+
+    if (data.version > STATS_SCHEMA_VERSION) {
+      // Written by a newer build: use nothing, overwrite nothing
+      console.warn(`Stats schema v${data.version} is newer than supported v${STATS_SCHEMA_VERSION}`);
+      this.isReadOnly = true;
+      return;
+    }
+
+    const totals = data.totals || {};
+    Object.keys(this.totals).forEach(key => {
+      if (Number.isFinite(totals[key]) && totals[key] >= 0) {
+        this.totals[key] = totals[key];
+      }
+    });
+
+    const runs = Array.isArray(data.recentRuns) ? data.recentRuns : [];
+    this.recentRuns = runs.filter(isValidRun).slice(-GAME_CONFIG.STATS_RECENT_RUNS);
+    if (this.recentRuns.length !== runs.length) {
+      console.warn(`Dropped ${runs.length - this.recentRuns.length} invalid or excess stats runs`);
+    }
+  }
+
+  /**
+   * Write stats to storage
+   */
+  save() {
+    if (this.isReadOnly) return;
+
+    saveJSON(this.storageKey, {
+      version: STATS_SCHEMA_VERSION,
+      totals: this.totals,
+      recentRuns: this.recentRuns
+    });
+  }
+
+  /**
+   * Fold a finished run into the totals and keep its placements
+   * @param {Object} run - { date, mode, difficulty, score, placements }
+   * @param {Object} summary - From summarizeRun
+   */
+  record(run, summary) {
+    const totals = this.totals;
+    totals.runs++;
+    totals.placements += summary.placements;
+    totals.perfects += summary.perfects;
+    totals.misses += summary.misses;
+    totals.totalOffset = round(totals.totalOffset + summary.averageOffset * summary.placements);
+    totals.totalReactionMs = round(totals.totalReactionMs + summary.averageReactionMs * summary.placements);
+    totals.totalScore += run.score;
+    totals.bestScore = Math.max(totals.bestScore, run.score);
+    totals.longestStreak = Math.max(totals.longestStreak, summary.longestStreak);
+
+    this.recentRuns.push(run);
+    this.recentRuns = this.recentRuns.slice(-GAME_CONFIG.STATS_RECENT_RUNS);
+    this.save();
+  }
+
+  /**
+   * Get lifetime averages derived from the totals
+   * @returns {Object} { runs, placements, accuracy, averageOffset, averageReactionMs, averageScore, bestScore, longestStreak }
+   */
+  getSummary() {
+    const { runs, placements, perfects, totalOffset, totalReactionMs, totalScore, bestScore, longestStreak } = this.totals;
+    return {
+      runs,
+      placements,
+      accuracy: placements > 0 ? perfects / placements : 0,
+      averageOffset: placements > 0 ? totalOffset / placements : 0,
+      averageReactionMs: placements > 0 ? totalReactionMs / placements : 0,
+      averageScore: runs > 0 ? totalScore / runs : 0,
+      bestScore,
+      longestStreak
+    };
+  }
+
+  /**
+   * Get the stored runs, oldest first
+   * @returns {Object[]}
+   */
+  getRecentRuns() {
+    return this.recentRuns;
+  }
+}
+
+/**
+ * Collects every placement of a player's run and, at game over, summarizes
+ * it and adds it to the lifetime stats. Replays and attract mode are ignored.
+ */
+export class StatsRecorder {
+  /**
+   * @param {LifetimeStats} lifetime
+   */
+  constructor(lifetime) {
+    this.lifetime = lifetime;
+    this.run = null;
+    this.lastRun = null;
+    this.isEnabled = true;
+
+    this.setupGameEventListeners();
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => {
+      this.isEnabled = false;
+      this.run = null;
+    });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => { this.isEnabled = true; });
+    gameEvents.on(EVENTS.GAME_START, this.handleGameStart.bind(this));
+    // A continued run is recorded from where it picks up
+    gameEvents.on(EVENTS.RUN_RESTORED, this.handleGameStart.bind(this));
+    gameEvents.on(EVENTS.PLACEMENT_MADE, this.handlePlacement.bind(this));
+    gameEvents.on(EVENTS.GAME_OVER, this.handleGameOver.bind(this));
+  }
+
+  /**
+   * Begin collecting a run; an unfinished one is dropped
+   * @param {Object} data - { mode, difficulty }
+   */
+  handleGameStart({ mode, difficulty } = {}) {
+    if (!this.isEnabled) return;
+
+    this.run = {
+      date: new Date().toISOString(),
+      mode,
+      difficulty,
+      score: 0,
+      placements: []
+    };
+  }
+
+  /**
+   * Keep one placement of the current run
+   * @param {Object} placement - { layer, delta, overlapRatio, reactionMs, isPerfect }
+   */
+  handlePlacement({ layer, delta, overlapRatio, reactionMs, isPerfect }) {
+    if (!this.run) return;
+
+    this.run.placements.push({
+      layer,
+      delta: round(delta),
+      overlapRatio: round(overlapRatio),
+      reactionMs: Math.round(reactionMs),
+      isPerfect
+    });
+  }
+
+  /**
+   * Summarize the finished run and add it to the lifetime stats
+   * @param {Object} data - GAME_OVER payload
+   */
+  handleGameOver({ score, mode, difficulty }) {
+    if (!this.run) return;
+
+    const run = { ...this.run, score, mode, difficulty };
+    const summary = summarizeRun(run.placements);
+    this.run = null;
+    this.lastRun = run;
+
+    this.lifetime.record(run, summary);
+    gameEvents.emit(EVENTS.RUN_STATS_READY, {
+      run,
+      summary,
+      lifetime: this.lifetime.getSummary()
+    });
+  }
+
+  /**
+   * Get the most recently finished run
+   * @returns {Object|null}
+   */
+  getLastRun() {
+    return this.lastRun;
+  }
+}
@@ -0,0 +1,211 @@
+import { GameLogic } from './game_logic.js';
+import { EventSystem, gameEvents, EVENTS } from '../core/event_system.js';
+import { PhysicsManager } from '../core/physics_manager.js';
+import { SeededRandom } from '../core/random.js';
+import { settings } from '../core/settings.js';
+import { RenderAdapter } from '../adapters/render_adapter.js';
+import { PhysicsAdapter } from '../adapters/physics_adapter.js';
+import { EffectsAdapter } from '../adapters/effects_adapter.js';
+import { createAutopilot } from './autopilot.js';
+import { AUTOPILOT_PRESETS } from '../config/autopilot_presets.js';
+
+/**
+ * Screen halves, left player first
+ */
+export const VERSUS_PLAYERS = [
+  { label: 'Left player', viewport: { x: 0, y: 0, width: 0.5, height: 1 } },
+  { label: 'Right player', viewport: { x: 0.5, y: 0, width: 0.5, height: 1 } }
+];
+
+/**
+ * Local two-player match: two towers side by side, each with its own
+ * simulation, event bus, physics world and view. Both players get the same
+ * seed, so block speeds match and only skill decides the round.
+ */
+export class VersusMatch {
+  /**
+   * @param {StackGame} game - Supplies the renderer, audio and current theme
+   */
+  constructor(game) {
+    this.game = game;
+    this.players = [];
+    this.isActive = false;
+    this.isFinished = false;
+  }
+
+  /**
+   * Hide the single-player view and start the first round
+   * @param {Object} options
+   * @param {boolean} options.withRobot - The right tower is played by the robot chosen in settings
+   */
+  start({ withRobot = false } = {}) {
+    if (this.isActive) return;
+
+    this.game.renderManager.mainView.isVisible = false;
+    this.players = VERSUS_PLAYERS.map((layout, index) => this.createPlayer(layout, index));
+    if (withRobot) {
+      this.makeRobot(this.players[this.players.length - 1], settings.get('autopilot'));
+    }
+    this.isActive = true;
+
+    gameEvents.emit(EVENTS.VERSUS_STARTED, { players: this.players });
+    this.startRound();
+  }
+
+  /**
+   * Build one player's simulation and presentation
+   * @param {Object} layout - VERSUS_PLAYERS entry
+   * @param {number} index
+   * @returns {Object} The player
+   */
+  createPlayer(layout, index) {
+    // A private bus keeps one player's BLOCK_PLACED from reaching the other's game
+    const events = new EventSystem();
+    const gameLogic = new GameLogic(events);
+    gameLogic.setInputLagSource(this.game.getInputLag);
+
+    const physicsManager = new PhysicsManager();
+    physicsManager.initialize();
+
+    const view = this.game.renderManager.createView(layout.viewport);
+    const renderAdapter = new RenderAdapter(view, gameLogic);
+    renderAdapter.setTheme(this.game.renderAdapter.theme);
+    renderAdapter.setOutlined(this.game.renderAdapter.isOutlined());
+
+    const player = {
+      index,
+      label: layout.label,
+      events,
+      gameLogic,
+      view,
+      physicsManager,
+      renderAdapter,
+      physicsAdapter: new PhysicsAdapter(physicsManager, gameLogic),
+      effectsAdapter: new EffectsAdapter(view, renderAdapter, gameLogic),
+      detachAudio: this.game.audioManager ? this.game.audioManager.attachGame(events) : () => {},
+      isRobot: false,
+      isOut: false
+    };
+
+    events.on(EVENTS.GAME_OVER, () => this.handlePlayerOut(player));
+    return player;
+  }
+
+  /**
+   * Hand a player's tower to a robot
+   * @param {Object} player
+   * @param {string} skill - AUTOPILOT_PRESETS key
+   */
+  makeRobot(player, skill) {
+    const preset = AUTOPILOT_PRESETS[skill];
+    player.gameLogic.setPilot(createAutopilot(skill));
+    player.isRobot = true;
+    player.label = `${preset ? preset.label : 'The'} robot`;
+  }
+
+  /**
+   * Restart both towers on a shared fresh seed
+   */
+  startRound() {
+    if (!this.isActive) return;
+
+    const seed = SeededRandom.generateSeed();
+    this.isFinished = false;
+    this.players.forEach(player => {
+      player.isOut = false;
+      player.gameLogic.setDifficulty(settings.get('difficulty'));
+      player.gameLogic.setMode(settings.get('gameMode'));
+      player.gameLogic.startGame(seed);
+    });
+
+    gameEvents.emit(EVENTS.VERSUS_ROUND_STARTED, { seed });
+  }
+
+  /**
+   * Drop the moving block of one player
+   * @param {number} index - Player index
+   * @param {number|null} timeStamp - When the player pressed, for latency compensation
+   */
+  place(index, timeStamp = null) {
+    const player = this.players[index];
+    if (!this.isActive || this.isFinished || !player || player.isOut || player.isRobot) return;
+
+    player.events.emit(EVENTS.BLOCK_PLACED, { timeStamp });
+  }
+
+  /**
+   * Record a player's miss and settle the round once both are out
+   * @param {Object} player
+   */
+  handlePlayerOut(player) {
+    player.isOut = true;
+    if (!this.players.every(candidate => candidate.isOut)) return;
+
+    this.isFinished = true;
+    const scores = this.players.map(candidate => candidate.gameLogic.getScore());
+    const best = Math.max(...scores);
+    const leaders = scores.filter(score => score === best);
+    const winner = leaders.length === 1 ? scores.indexOf(best) : null;
+
+    gameEvents.emit(EVENTS.VERSUS_FINISHED, { scores, winner });
+  }
+
+  /**
+   * Advance both players by one fixed step
+   * @param {number} stepMs
+   */
+  step(stepMs) {
+    this.players.forEach(player => {
+      player.gameLogic.update(stepMs);
+      player.physicsAdapter.step(stepMs);
+      player.renderAdapter.update(stepMs);
+      player.effectsAdapter.update(stepMs);
+    });
+  }
+
+  /**
+   * Blend both towers between the last two steps
+   * @param {number} alpha
+   */
+  interpolate(alpha) {
+    this.players.forEach(player => player.renderAdapter.interpolate(alpha));
+  }
+
+  /**
+   * Switch both towers to a theme
+   * @param {Theme} theme
+   */
+  setTheme(theme) {
+    this.players.forEach(player => player.renderAdapter.setTheme(theme));
+  }
+
+  /**
+   * Show or hide block outlines on both towers
+   * @param {boolean} enabled
+   */
+  setOutlined(enabled) {
+    this.players.forEach(player => player.renderAdapter.setOutlined(enabled));
+  }
+
+  /**
+   * Tear down both players and bring back the single-player view
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.players.forEach(player => {
+      player.detachAudio();
+      player.events.clear();
+      player.physicsManager.dispose();
+      player.effectsAdapter.dispose();
+      player.renderAdapter.dispose();
+      this.game.renderManager.removeView(player.view);
+    });
+    this.players = [];
+    this.isActive = false;
+    this.isFinished = false;
+    this.game.renderManager.mainView.isVisible = true;
+
+    gameEvents.emit(EVENTS.VERSUS_STOPPED);
+  }
+}
@@ -1,7 +1,34 @@
 import { RenderManager } from './core/render_manager.js';
 import { PhysicsManager } from './core/physics_manager.js';
 import { UIManager } from './ui/ui_manager.js';
+import { InputBindings, InputManager } from './core/input_manager.js';
+import { BindingsPanel } from './ui/bindings_panel.js';
+import { CalibrationPanel } from './ui/calibration_panel.js';
 import { GameLogic } from './game/game_logic.js';
+import { RenderAdapter } from './adapters/render_adapter.js';
+import { PhysicsAdapter } from './adapters/physics_adapter.js';
+import { EffectsAdapter } from './adapters/effects_adapter.js';
+import { ReplayRecorder, ReplayPlayer } from './game/replay.js';
+import { ReplayControls } from './ui/replay_controls.js';
+import { Leaderboard } from './game/leaderboard.js';
+import { LeaderboardPanel } from './ui/leaderboard_panel.js';
+import { SettingsPanel } from './ui/settings_panel.js';
+import { PauseMenu } from './ui/pause_menu.js';
+import { VersusMatch } from './game/versus_match.js';
+import { VersusControls } from './ui/versus_controls.js';
+import { DailyChallenge, DailyRunner } from './game/daily_challenge.js';
+import { DailyPanel } from './ui/daily_panel.js';
+import { LifetimeStats, StatsRecorder } from './game/run_stats.js';
+import { StatsPanel } from './ui/stats_panel.js';
+import { Announcer } from './ui/announcer.js';
+import { RunSaver } from './game/run_save.js';
+import { SaveControls } from './ui/save_controls.js';
+import { AudioManager } from './core/audio_manager.js';
+import { settings } from './core/settings.js';
+import { configService } from './core/config_service.js';
+import { Theme } from './core/theme.js';
+import { CUSTOM_THEME } from './config/theme_presets.js';
+import { createAutopilot, CoachPolicy } from './game/autopilot.js';
 import { gameEvents, EVENTS } from './core/event_system.js';
 import { GAME_CONFIG } from './config/game_config.js';
 
@@ -13,15 +40,40 @@ export class StackGame {
     this.renderManager = null;
     this.physicsManager = null;
     this.uiManager = null;
+    this.inputManager = null;
     this.gameLogic = null;
+    this.renderAdapter = null;
+    this.physicsAdapter = null;
+    this.effectsAdapter = null;
+    this.replayRecorder = null;
+    this.replayPlayer = null;
+    this.replayControls = null;
+    this.leaderboardPanel = null;
+    this.pauseMenu = null;
+    this.audioManager = null;
+    this.versusMatch = null;
+    this.versusControls = null;
+    this.dailyRunner = null;
+    this.dailyPanel = null;
+    this.statsRecorder = null;
+    this.statsPanel = null;
+    this.announcer = null;
+    this.runSaver = null;
+    this.configService = configService;
+    this.events = gameEvents;
     
     this.isRunning = false;
+    this.isUserPaused = false;
     this.lastTime = 0;
+    this.accumulator = 0;
     this.animationId = null;
+    // When the frame on screen was drawn and the accumulator it was blended with
+    this.lastFrame = { time: 0, accumulator: 0 };
     
     // Bind methods to maintain context
     this.animate = this.animate.bind(this);
     this.handleResize = this.handleResize.bind(this);
+    this.getInputLag = this.getInputLag.bind(this);
   }
 
   /**
@@ -29,18 +81,91 @@ export class StackGame {
    */
   async initialize() {
     try {
+      // Designer overrides, e.g. ?speed=0.012&boxSize=4, before anything reads the config
+      configService.load(window.location.search);
+      // ?trace keeps recent events for debugging: stackGame.events.getTrace('block:*')
+      if (new URLSearchParams(window.location.search).has('trace')) {
+        gameEvents.enableTrace();
+      }
+      settings.load();
+      
       // Initialize core systems
       this.renderManager = new RenderManager();
       this.physicsManager = new PhysicsManager();
       this.uiManager = new UIManager();
       
+      // Keyboard, pointer and gamepad input arrive as actions
+      const inputBindings = new InputBindings();
+      inputBindings.load();
+      this.inputManager = new InputManager(inputBindings);
+      this.inputManager.initialize();
+      
       await this.renderManager.initialize();
       await this.physicsManager.initialize();
       await this.uiManager.initialize();
       
-      // Initialize game logic
-      this.gameLogic = new GameLogic(this.renderManager, this.physicsManager);
-      this.gameLogic.initialize();
+      // Sound effects are driven entirely by game events
+      this.audioManager = new AudioManager();
+      this.audioManager.initialize();
+      
+      // Initialize game logic and attach rendering and physics to it
+      this.gameLogic = new GameLogic();
+      this.gameLogic.setInputLagSource(this.getInputLag);
+      this.renderAdapter = new RenderAdapter(this.renderManager.mainView, this.gameLogic);
+      this.physicsAdapter = new PhysicsAdapter(this.physicsManager, this.gameLogic);
+      this.effectsAdapter = new EffectsAdapter(this.renderManager.mainView, this.renderAdapter, this.gameLogic);
+      this.renderAdapter.setTheme(Theme.resolve(settings.get('theme')));
+      this.renderAdapter.setOutlined(settings.get('highContrast'));
+      this.gameLogic.setDifficulty(settings.get('difficulty'));
+      this.gameLogic.setMode(settings.get('gameMode'));
+      this.gameLogic.setAutopilot(createAutopilot(settings.get('autopilot')));
+      this.applyCoach(settings.get('coach'));
+      this.gameLogic.startAttractMode();
+      
+      // Initialize replay recording and playback
+      this.replayRecorder = new ReplayRecorder();
+      this.replayPlayer = new ReplayPlayer(this);
+      this.replayControls = new ReplayControls(this.replayRecorder, this.replayPlayer);
+      this.replayControls.initialize();
+      
+      // Initialize the persistent leaderboard
+      this.leaderboardPanel = new LeaderboardPanel(new Leaderboard());
+      this.leaderboardPanel.initialize();
+      
+      // Initialize per-placement stats and lifetime aggregates
+      const lifetimeStats = new LifetimeStats();
+      lifetimeStats.load();
+      this.statsRecorder = new StatsRecorder(lifetimeStats);
+      this.statsPanel = new StatsPanel(lifetimeStats);
+      this.statsPanel.initialize();
+      
+      // Read score, perfects and game over out to screen readers
+      this.announcer = new Announcer();
+      this.announcer.initialize();
+      
+      // Initialize the pause menu and settings
+      const settingsPanel = new SettingsPanel();
+      settingsPanel.initialize();
+      this.pauseMenu = new PauseMenu(settingsPanel);
+      this.pauseMenu.initialize();
+      new BindingsPanel(this.inputManager).initialize();
+      new CalibrationPanel(this.audioManager).initialize();
+      
+      // Initialize the date-seeded daily challenge
+      const dailyChallenge = new DailyChallenge();
+      dailyChallenge.load();
+      this.dailyRunner = new DailyRunner(this, dailyChallenge);
+      this.dailyPanel = new DailyPanel(dailyChallenge, this.dailyRunner);
+      this.dailyPanel.initialize();
+      
+      // Initialize saving and continuing an unfinished run
+      this.runSaver = new RunSaver(this);
+      new SaveControls(this.runSaver).initialize();
+      
+      // Initialize local two-player versus
+      this.versusMatch = new VersusMatch(this);
+      this.versusControls = new VersusControls(this.versusMatch, this.inputManager.bindings);
+      this.versusControls.initialize();
       
       // Setup global event listeners
       this.setupEventListeners();
@@ -60,17 +185,147 @@ export class StackGame {
    */
   setupEventListeners() {
     gameEvents.on(EVENTS.WINDOW_RESIZE, this.handleResize);
+    gameEvents.on(EVENTS.CONFIG_CHANGED, ({ key }) => {
+      if (key === 'GRAVITY' || key === 'SOLVER_ITERATIONS') this.physicsManager.applyWorldConfig();
+      if (key === 'CAMERA_WIDTH') this.renderManager.handleResize();
+    });
+    gameEvents.on(EVENTS.PAUSE_REQUESTED, () => this.pauseGame());
+    gameEvents.on(EVENTS.RESUME_CONFIRMED, () => this.resumeGame());
+    gameEvents.on(EVENTS.SETTINGS_CHANGED, ({ key, value }) => {
+      if (key === 'difficulty') this.gameLogic.setDifficulty(value);
+      if (key === 'gameMode') this.gameLogic.setMode(value);
+      if (key === 'theme') this.applyTheme(Theme.resolve(value));
+      if (key === 'highContrast') this.applyOutlines(value);
+      if (key === 'autopilot') this.gameLogic.setAutopilot(createAutopilot(value));
+      if (key === 'coach') this.applyCoach(value);
+    });
+    
+    // A freshly loaded theme file replaces the custom theme and selects it
+    gameEvents.on(EVENTS.THEME_LOADED, ({ theme }) => {
+      if (settings.get('theme') === CUSTOM_THEME) {
+        this.applyTheme(theme);
+      } else {
+        settings.set('theme', CUSTOM_THEME);
+      }
+    });
+    
+    // Replays, daily challenges and continued runs switch mode and difficulty; go back to the player's choice afterwards
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => this.restoreRunSettings());
+    gameEvents.on(EVENTS.DAILY_FINISHED, () => {
+      this.restoreRunSettings();
+      this.applyCoach(settings.get('coach'));
+    });
+    gameEvents.on(EVENTS.RUN_RESTORED, () => this.restoreRunSettings());
+    
+    // The single-player game sits frozen behind a versus match; bring back the demo afterwards
+    gameEvents.on(EVENTS.VERSUS_STOPPED, () => this.gameLogic.startAttractMode());
+    
+    // Restarting from the pause menu unpauses
+    gameEvents.on(EVENTS.GAME_START, () => this.resumeGame());
     
     // Handle visibility change to pause/resume game
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
+        // Leave the pause menu up so the player isn't dropped back in mid-swing
+        this.pauseGame();
         this.pause();
+        gameEvents.emit(EVENTS.GAME_PAUSED, { reason: 'hidden' });
       } else {
         this.resume();
+        gameEvents.emit(EVENTS.GAME_RESUMED, { reason: 'hidden' });
       }
     });
   }
 
+  /**
+   * Use the player's chosen difficulty and mode from the next run on
+   */
+  restoreRunSettings() {
+    this.gameLogic.setDifficulty(settings.get('difficulty'));
+    this.gameLogic.setMode(settings.get('gameMode'));
+  }
+
+  /**
+   * Turn the timing coach on or off for the single-player game
+   * @param {boolean} enabled
+   */
+  applyCoach(enabled) {
+    // A scored daily is played unaided
+    const isScoredDaily = this.dailyRunner && this.dailyRunner.isScored();
+    this.gameLogic.setPilot(enabled && !isScoredDaily ? new CoachPolicy() : null);
+  }
+
+  /**
+   * Show or hide high-contrast outlines on every tower on screen
+   * @param {boolean} enabled
+   */
+  applyOutlines(enabled) {
+    this.renderAdapter.setOutlined(enabled);
+    if (this.versusMatch) {
+      this.versusMatch.setOutlined(enabled);
+    }
+  }
+
+  /**
+   * Switch every tower on screen to a theme
+   * @param {Theme} theme
+   */
+  applyTheme(theme) {
+    this.renderAdapter.setTheme(theme);
+    if (this.versusMatch) {
+      this.versusMatch.setTheme(theme);
+    }
+  }
+
+  /**
+   * Check if there's a player-controlled run that can be paused
+   * @returns {boolean}
+   */
+  canPauseGame() {
+    if (!this.gameLogic) return false;
+    if (this.replayPlayer && this.replayPlayer.isActive) return false;
+    if (this.versusMatch && this.versusMatch.isActive) return false;
+    
+    return !this.gameLogic.isInAutopilot() && !this.gameLogic.hasGameEnded();
+  }
+
+  /**
+   * Freeze the simulation and open the pause menu
+   */
+  pauseGame() {
+    if (this.isUserPaused || !this.canPauseGame()) return;
+    
+    this.isUserPaused = true;
+    gameEvents.emit(EVENTS.GAME_PAUSED, { reason: 'user' });
+  }
+
+  /**
+   * Unfreeze the simulation after the pause menu closes
+   */
+  resumeGame() {
+    if (!this.isUserPaused) return;
+    
+    this.isUserPaused = false;
+    gameEvents.emit(EVENTS.GAME_RESUMED, { reason: 'user' });
+  }
+
+  /**
+   * Work out how long before the latest simulation step the player saw what
+   * they reacted to. The frame on screen blends the last two steps (see
+   * interpolate), so it trails the latest step by a step less the leftover
+   * accumulator, and it stays up until the next frame; the calibrated offset
+   * covers display and audio delay on top.
+   * @param {number} timeStamp - Input time on the requestAnimationFrame clock
+   * @returns {number} Milliseconds; negative when the input is ahead of the latest step
+   */
+  getInputLag(timeStamp) {
+    if (!Number.isFinite(timeStamp) || timeStamp <= 0 || this.lastFrame.time <= 0) return 0;
+    
+    const sinceFrame = timeStamp - this.lastFrame.time;
+    const frameLag = GAME_CONFIG.SIMULATION_STEP_MS - this.lastFrame.accumulator;
+    return frameLag - sinceFrame + settings.get('latencyOffsetMs');
+  }
+
   /**
    * Start the game loop
    */
@@ -79,6 +334,7 @@ export class StackGame {
     
     this.isRunning = true;
     this.lastTime = 0;
+    this.accumulator = 0;
     this.animate(0);
     
     // Show instructions initially
@@ -114,28 +370,53 @@ export class StackGame {
   animate(currentTime) {
     if (!this.isRunning) return;
     
-    // Calculate delta time
+    // Calculate delta time, clamped so a long stall doesn't trigger a burst of steps
     let deltaTime = 0;
     if (this.lastTime > 0) {
-      deltaTime = currentTime - this.lastTime;
+      deltaTime = Math.min(currentTime - this.lastTime, GAME_CONFIG.MAX_FRAME_TIME_MS);
     }
     this.lastTime = currentTime;
     
     try {
-      // Update game logic
-      if (this.gameLogic) {
-        this.gameLogic.update(deltaTime);
+      // Gamepads have no events for buttons; read them before stepping so a press lands this frame
+      if (this.inputManager) {
+        this.inputManager.pollGamepads();
+      }
+      
+      // Replays can run faster, slower or be paused
+      const isReplaying = this.replayPlayer && this.replayPlayer.isActive;
+      let timeScale = isReplaying ? this.replayPlayer.getTimeScale() : 1;
+      if (this.isUserPaused) {
+        timeScale = 0;
+      }
+      
+      // Advance the simulation in fixed steps
+      const stepMs = GAME_CONFIG.SIMULATION_STEP_MS;
+      this.accumulator += deltaTime * timeScale;
+      while (this.accumulator >= stepMs) {
+        this.step(stepMs);
+        this.accumulator -= stepMs;
       }
       
-      // Update physics
-      if (this.physicsManager) {
-        this.physicsManager.step(deltaTime);
+      if (isReplaying) {
+        this.replayPlayer.update();
+      }
+      
+      const alpha = this.accumulator / stepMs;
+      
+      // Blend visuals between the last two steps
+      if (this.versusMatch && this.versusMatch.isActive) {
+        this.versusMatch.interpolate(alpha);
+      } else if (this.renderAdapter) {
+        this.renderAdapter.interpolate(alpha);
       }
       
       // Render the scene
       if (this.renderManager) {
-        this.renderManager.render();
+        this.renderManager.render(alpha);
       }
+      this.lastFrame.time = currentTime;
+      this.lastFrame.accumulator = this.accumulator;
     } catch (error) {
       console.error('Error in animation loop:', error);
       this.pause();
@@ -146,6 +427,38 @@ export class StackGame {
     this.animationId = requestAnimationFrame(this.animate);
   }
 
+  /**
+   * Advance game logic and physics by one fixed step
+   * @param {number} stepMs - Step length in milliseconds
+   */
+  step(stepMs) {
+    // Versus players own their simulations; the single-player game waits
+    if (this.versusMatch && this.versusMatch.isActive) {
+      this.versusMatch.step(stepMs);
+      return;
+    }
+    
+    if (this.replayPlayer) {
+      this.replayPlayer.applyInputs();
+    }
+    
+    if (this.gameLogic) {
+      this.gameLogic.update(stepMs);
+    }
+    
+    if (this.physicsAdapter) {
+      this.physicsAdapter.step(stepMs);
+    }
+    
+    if (this.renderAdapter) {
+      this.renderAdapter.update(stepMs);
+    }
+    
+    if (this.effectsAdapter) {
+      this.effectsAdapter.update(stepMs);
+    }
+  }
+
   /**
    * Handle window resize
    */
@@ -174,8 +487,14 @@ export class StackGame {
     return {
       score: this.gameLogic.getScore(),
       stackHeight: this.gameLogic.getStackHeight(),
+      seed: this.gameLogic.getSeed(),
+      tick: this.gameLogic.getTick(),
+      mode: this.gameLogic.getMode(),
+      difficulty: this.gameLogic.getDifficulty(),
+      perfects: this.gameLogic.getPerfectCount(),
       isAutopilot: this.gameLogic.isInAutopilot(),
-      isGameEnded: this.gameLogic.hasGameEnded()
+      isGameEnded: this.gameLogic.hasGameEnded(),
+      drawCalls: this.renderManager.getDrawCalls()
     };
   }
 
@@ -183,6 +502,10 @@ export class StackGame {
    * Cleanup and dispose of all resources
    */
   dispose() {
+    // Keep an unfinished run so the menu can offer to continue it
+    if (this.runSaver) {
+      this.runSaver.save();
+    }
     this.pause();
     
     // Clear event listeners
@@ -198,6 +521,18 @@ export class StackGame {
       this.uiManager.dispose();
     }
     
+    if (this.inputManager) {
+      this.inputManager.dispose();
+    }
+    
+    if (this.versusMatch) {
+      this.versusMatch.stop();
+    }
+    
+    if (this.audioManager) {
+      this.audioManager.dispose();
+    }
+    
     if (this.renderManager) {
       this.renderManager.dispose();
     }
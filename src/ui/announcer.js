@@ -0,0 +1,122 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { POWER_UPS } from '../config/power_ups.js';
+
+// Delay between emptying a live region and filling it, so screen readers
+// notice a message that repeats the previous one
+const ANNOUNCE_DELAY_MS = 50;
+
+/**
+ * Reads the player's progress out through ARIA live regions: the score after
+ * each layer, with any perfect or power-up that came with it, and the result
+ * at game over. Attract mode and replays stay silent.
+ */
+export class Announcer {
+  constructor() {
+    this.politeElement = null;
+    this.assertiveElement = null;
+    this.timers = new Map();
+    // Perfects and power-ups are read together with the score they lead to
+    this.pending = [];
+    this.isActive = false;
+    this.isReplaying = false;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      const element = document.getElementById(GAME_CONFIG.ANNOUNCER_ELEMENT_ID);
+      if (element) {
+        this.politeElement = element.querySelector('[data-announce="polite"]');
+        this.assertiveElement = element.querySelector('[data-announce="assertive"]');
+      }
+
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize Announcer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_START, () => this.start());
+    gameEvents.on(EVENTS.RUN_RESTORED, () => {
+      this.start();
+      this.pending.push('Continuing');
+    });
+    gameEvents.on(EVENTS.GAME_RESET, () => { this.isActive = false; });
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => { this.isReplaying = true; });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => { this.isReplaying = false; });
+    gameEvents.on(EVENTS.VERSUS_STARTED, () => { this.isActive = false; });
+    gameEvents.on(EVENTS.PERFECT_PLACEMENT, ({ combo }) => {
+      this.pending.push(combo > 1 ? `Perfect, streak ${combo}` : 'Perfect');
+    });
+    gameEvents.on(EVENTS.POWER_UP_ACTIVATED, ({ type }) => {
+      this.pending.push(`${POWER_UPS[type].label} power-up`);
+    });
+    gameEvents.on(EVENTS.SCORE_UPDATE, this.handleScore.bind(this));
+    gameEvents.on(EVENTS.GAME_OVER, this.handleGameOver.bind(this));
+  }
+
+  /**
+   * Check if events belong to a run the player is playing
+   * @returns {boolean}
+   */
+  isListening() {
+    return this.isActive && !this.isReplaying;
+  }
+
+  /**
+   * Begin announcing a run
+   */
+  start() {
+    this.isActive = true;
+    this.pending = [];
+  }
+
+  /**
+   * Read the new score with whatever happened on the way to it
+   * @param {number} score
+   */
+  handleScore(score) {
+    const pending = this.pending;
+    this.pending = [];
+    if (!this.isListening() || score === 0) return;
+
+    this.announce([...pending, `Score ${score}`].join('. '));
+  }
+
+  /**
+   * Interrupt with the final result
+   * @param {Object} data - GAME_OVER payload
+   */
+  handleGameOver({ score, perfects }) {
+    this.pending = [];
+    if (!this.isListening()) return;
+
+    this.isActive = false;
+    const perfectText = perfects === 1 ? '1 perfect' : `${perfects} perfects`;
+    this.announce(`Game over. Final score ${score}, ${perfectText}.`, 'assertive');
+  }
+
+  /**
+   * Put a message in a live region
+   * @param {string} message
+   * @param {string} politeness - 'polite' or 'assertive'
+   */
+  announce(message, politeness = 'polite') {
+    const element = politeness === 'assertive' ? this.assertiveElement : this.politeElement;
+    if (!element) return;
+
+    clearTimeout(this.timers.get(element));
+    element.textContent = '';
+    this.timers.set(element, setTimeout(() => {
+      element.textContent = message;
+    }, ANNOUNCE_DELAY_MS));
+  }
+}
@@ -0,0 +1,157 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { INPUT_ACTION_INFO } from '../config/input_bindings.js';
+import { formatKey, formatButton } from '../core/input_manager.js';
+
+/**
+ * Lists each action's key and gamepad button in the settings overlay and
+ * rebinds an action to the next key or button pressed
+ */
+export class BindingsPanel {
+  /**
+   * @param {InputManager} inputManager
+   */
+  constructor(inputManager) {
+    this.inputManager = inputManager;
+    this.element = null;
+    this.listElement = null;
+    this.statusElement = null;
+    this.buttons = new Map();
+    this.capturingAction = null;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.element = document.querySelector('[data-bindings]');
+      if (!this.element) return;
+
+      this.listElement = this.element.querySelector('[data-bindings-list]');
+      this.statusElement = this.element.querySelector('[data-bindings-status]');
+      this.renderList();
+      this.updateStatus(this.inputManager.getGamepadNames());
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize BindingsPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    const resetButton = this.element.querySelector('[data-bindings-action="reset"]');
+    if (resetButton) {
+      resetButton.addEventListener('click', () => {
+        this.inputManager.cancelCapture();
+        this.inputManager.bindings.reset();
+      });
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.INPUT_BINDINGS_CHANGED, ({ action }) => {
+      this.renderList();
+      // The rebound row's button was replaced; keep focus where the player was
+      const button = this.buttons.get(action);
+      if (button) button.focus();
+    });
+    gameEvents.on(EVENTS.GAMEPADS_CHANGED, ({ gamepads }) => this.updateStatus(gamepads));
+    gameEvents.on(EVENTS.SETTINGS_CLOSED, () => this.inputManager.cancelCapture());
+  }
+
+  /**
+   * Build one row per action with a button showing its inputs
+   */
+  renderList() {
+    if (!this.listElement) return;
+
+    this.buttons.clear();
+    this.listElement.replaceChildren(...Object.entries(INPUT_ACTION_INFO).map(([action, info]) => {
+      const item = document.createElement('li');
+      item.className = 'bindings-row';
+
+      const label = document.createElement('span');
+      label.textContent = info.label;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'ui-button';
+      button.textContent = this.describe(action);
+      button.setAttribute('aria-label', `${info.label}: ${button.textContent}. Press to change`);
+      button.addEventListener('click', () => this.startCapture(action));
+
+      item.append(label, button);
+      this.buttons.set(action, button);
+      return item;
+    }));
+  }
+
+  /**
+   * Describe an action's inputs, e.g. "Space · A"
+   * @param {string} action
+   * @returns {string}
+   */
+  describe(action) {
+    const { keys, buttons } = this.inputManager.bindings.get(action);
+    const inputs = [...keys.map(formatKey), ...buttons.map(formatButton)];
+    return inputs.length > 0 ? inputs.join(' · ') : 'Unbound';
+  }
+
+  /**
+   * Wait for the key or button to bind to an action
+   * @param {string} action
+   */
+  startCapture(action) {
+    if (this.capturingAction === action) {
+      this.inputManager.cancelCapture();
+      return;
+    }
+
+    this.inputManager.captureNext(input => this.finishCapture(action, input));
+    this.capturingAction = action;
+
+    const button = this.buttons.get(action);
+    button.textContent = 'Press a key or button… (Esc cancels)';
+    button.classList.add('is-capturing');
+  }
+
+  /**
+   * Bind the captured input, or put the row back if capture was cancelled
+   * @param {string} action
+   * @param {Object|null} input - { key } or { button }
+   */
+  finishCapture(action, input) {
+    this.capturingAction = null;
+
+    if (input) {
+      this.inputManager.bindings.bind(action, input);
+      return;
+    }
+
+    const button = this.buttons.get(action);
+    if (button) {
+      button.textContent = this.describe(action);
+      button.classList.remove('is-capturing');
+    }
+  }
+
+  /**
+   * Show which gamepads are connected
+   * @param {string[]} gamepads - Gamepad ids
+   */
+  updateStatus(gamepads) {
+    if (!this.statusElement) return;
+
+    this.statusElement.textContent = gamepads.length > 0
+      ? `Controller: ${gamepads.join(', ')}`
+      : 'No controller connected. Press a button on one to use it.';
+  }
+}
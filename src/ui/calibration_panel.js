@@ -0,0 +1,247 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { INPUT_ACTIONS } from '../config/input_bindings.js';
+import { settings } from '../core/settings.js';
+import { focusDialog, releaseDialog, trapFocus } from './dialog.js';
+
+// How long a beat's flash stays lit
+const FLASH_MS = 100;
+
+/**
+ * Estimate how late a player's taps land after what they see and hear: the
+ * median distance from each tap to its nearest beat, so a stray early or
+ * late tap doesn't skew it
+ * @param {number[]} taps - Tap times
+ * @param {number[]} beats - Times the beats were shown and played
+ * @returns {number} Whole milliseconds in [0, CALIBRATION_MAX_OFFSET_MS]
+ */
+export function estimateLatency(taps, beats) {
+  if (taps.length === 0 || beats.length === 0) return 0;
+
+  const offsets = taps.map(tap => {
+    const nearest = beats.reduce((best, beat) => (Math.abs(tap - beat) < Math.abs(tap - best) ? beat : best));
+    return tap - nearest;
+  }).sort((a, b) => a - b);
+
+  const middle = Math.floor(offsets.length / 2);
+  const median = offsets.length % 2 === 1 ? offsets[middle] : (offsets[middle - 1] + offsets[middle]) / 2;
+  return Math.round(Math.min(Math.max(median, 0), GAME_CONFIG.CALIBRATION_MAX_OFFSET_MS));
+}
+
+/**
+ * Tap-to-the-beat screen that measures the player's display, audio and
+ * input delay and stores it as the latency offset
+ */
+export class CalibrationPanel {
+  /**
+   * @param {AudioManager|null} audioManager - Plays the metronome; without it the beat is only shown
+   */
+  constructor(audioManager) {
+    this.audioManager = audioManager;
+    this.element = null;
+    this.beatElement = null;
+    this.statusElement = null;
+    this.saveButton = null;
+    this.beats = [];
+    this.taps = [];
+    this.nextBeatTime = 0;
+    this.result = null;
+    this.animationId = null;
+    this.flashTimer = null;
+    this.isOpen = false;
+
+    this.update = this.update.bind(this);
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.element = document.getElementById(GAME_CONFIG.CALIBRATION_ELEMENT_ID);
+      if (this.element) {
+        this.beatElement = this.element.querySelector('[data-calibration-beat]');
+        this.statusElement = this.element.querySelector('[data-calibration-status]');
+        this.saveButton = this.element.querySelector('[data-calibration-action="save"]');
+        trapFocus(this.element);
+      }
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize CalibrationPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    document.querySelectorAll('[data-calibration-action]').forEach(element => {
+      element.addEventListener('click', this.handleAction.bind(this));
+    });
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.INPUT_ACTION, this.handleInput.bind(this));
+    gameEvents.on(EVENTS.GAME_RESUMED, () => this.close());
+    gameEvents.on(EVENTS.SETTINGS_CLOSED, () => this.close());
+  }
+
+  /**
+   * Dispatch a click on a calibration button
+   * @param {Event} event
+   */
+  handleAction(event) {
+    switch (event.currentTarget.dataset.calibrationAction) {
+      case 'open':
+      case 'restart':
+        this.open();
+        break;
+      case 'save':
+        if (this.result !== null) {
+          settings.set('latencyOffsetMs', this.result);
+        }
+        this.close();
+        break;
+      case 'cancel':
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Count a place input as a tap once the lead-in beats have played
+   * @param {Object} data - { action, event, timeStamp }
+   */
+  handleInput({ action, event, timeStamp }) {
+    if (!this.isOpen || this.result !== null || action !== INPUT_ACTIONS.PLACE) return;
+    // Presses on the panel's own buttons aren't taps
+    if (event && event.target instanceof Element && event.target.closest('button')) return;
+    if (!Number.isFinite(timeStamp) || this.beats.length < GAME_CONFIG.CALIBRATION_LEAD_IN_BEATS) return;
+
+    if (event) event.preventDefault();
+    this.taps.push(timeStamp);
+    this.setStatus(`${this.taps.length} / ${GAME_CONFIG.CALIBRATION_TAPS}`);
+
+    if (this.taps.length >= GAME_CONFIG.CALIBRATION_TAPS) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Show the panel and start the beat
+   */
+  open() {
+    if (!this.element) return;
+
+    this.stop();
+    this.beats = [];
+    this.taps = [];
+    this.result = null;
+    this.nextBeatTime = performance.now() + GAME_CONFIG.CALIBRATION_BEAT_MS;
+    this.isOpen = true;
+
+    this.element.hidden = false;
+    if (this.saveButton) {
+      this.saveButton.disabled = true;
+      this.saveButton.textContent = 'Use result';
+    }
+    this.setStatus('Tap, click, or press your drop key or button with each beat');
+    // The dialog takes focus, not a button, so the drop key taps instead of pressing it
+    focusDialog(this.element, this.element);
+
+    this.animationId = requestAnimationFrame(this.update);
+  }
+
+  /**
+   * Flash and click on each beat; runs every frame while the beat plays.
+   * Beats are stamped with the frame they're shown in, the same moment game
+   * input is measured from.
+   * @param {number} now - Frame time
+   */
+  update(now) {
+    if (!this.isOpen) return;
+
+    if (now >= this.nextBeatTime) {
+      this.beats.push(now);
+      this.flash();
+      if (this.audioManager) {
+        this.audioManager.playBeat();
+      }
+      // After a stall, carry on from now rather than firing a burst of beats
+      this.nextBeatTime = Math.max(this.nextBeatTime + GAME_CONFIG.CALIBRATION_BEAT_MS, now + FLASH_MS);
+
+      const maxBeats = GAME_CONFIG.CALIBRATION_LEAD_IN_BEATS + GAME_CONFIG.CALIBRATION_TAPS * 2;
+      if (this.beats.length > maxBeats) {
+        this.stop();
+        this.setStatus('Not enough taps. Start over to try again.');
+        return;
+      }
+    }
+
+    this.animationId = requestAnimationFrame(this.update);
+  }
+
+  /**
+   * Light the beat indicator briefly
+   */
+  flash() {
+    if (!this.beatElement) return;
+
+    this.beatElement.classList.add('is-beat');
+    clearTimeout(this.flashTimer);
+    this.flashTimer = setTimeout(() => this.beatElement.classList.remove('is-beat'), FLASH_MS);
+  }
+
+  /**
+   * Stop the beat and offer the measured offset
+   */
+  finish() {
+    this.stop();
+    this.result = estimateLatency(this.taps, this.beats);
+    this.setStatus(`Measured ${this.result} ms (currently ${settings.get('latencyOffsetMs')} ms)`);
+    if (this.saveButton) {
+      this.saveButton.disabled = false;
+      this.saveButton.textContent = `Use ${this.result} ms`;
+    }
+  }
+
+  /**
+   * Stop the beat
+   */
+  stop() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.stop();
+    if (this.element) {
+      this.element.hidden = true;
+      releaseDialog(this.element);
+    }
+  }
+
+  /**
+   * Update the progress line
+   * @param {string} text
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+}
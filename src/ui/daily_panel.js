@@ -0,0 +1,156 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { getDailyKey } from '../game/daily_challenge.js';
+
+/**
+ * Daily challenge buttons on the menu, and the shareable summary on the game-over overlay
+ */
+export class DailyPanel {
+  /**
+   * @param {DailyChallenge} challenge
+   * @param {DailyRunner} runner
+   */
+  constructor(challenge, runner) {
+    this.challenge = challenge;
+    this.runner = runner;
+    this.playButton = null;
+    this.statusElement = null;
+    this.summaryElement = null;
+    this.shareTextElement = null;
+    this.shareStatusElement = null;
+    this.shareText = '';
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.playButton = document.querySelector('[data-daily-action="play"]');
+      this.statusElement = document.querySelector('[data-daily-status]');
+      this.summaryElement = document.querySelector('[data-daily-summary]');
+      this.shareTextElement = document.querySelector('[data-daily-share-text]');
+      this.shareStatusElement = document.querySelector('[data-daily-share-status]');
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+      this.refreshStatus();
+    } catch (error) {
+      console.error('Failed to initialize DailyPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    document.querySelectorAll('[data-daily-action]').forEach(element => {
+      element.addEventListener('click', this.handleAction.bind(this));
+    });
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_START, () => this.hideSummary());
+    gameEvents.on(EVENTS.DAILY_FINISHED, this.handleFinished.bind(this));
+  }
+
+  /**
+   * Dispatch a click on a daily challenge button
+   * @param {Event} event
+   */
+  handleAction(event) {
+    switch (event.currentTarget.dataset.dailyAction) {
+      case 'play':
+        if (!this.runner.start(false)) {
+          this.refreshStatus();
+        }
+        break;
+      case 'practice':
+        this.runner.start(true);
+        break;
+      case 'share':
+        this.share();
+        break;
+    }
+  }
+
+  /**
+   * Show the summary of a finished run and update today's status
+   * @param {Object} data - { isComplete, shareText }
+   */
+  handleFinished({ isComplete, shareText }) {
+    this.refreshStatus();
+    if (!isComplete) return;
+
+    this.shareText = shareText;
+    this.setShareStatus('');
+    if (this.shareTextElement) {
+      this.shareTextElement.textContent = shareText;
+    }
+    if (this.summaryElement) {
+      this.summaryElement.hidden = false;
+    }
+  }
+
+  /**
+   * Show today's result and streak, and lock the scored attempt once used
+   */
+  refreshStatus() {
+    const today = getDailyKey();
+    const result = this.challenge.getResult(today);
+    const streak = this.challenge.getStreak(today);
+
+    if (this.playButton) {
+      this.playButton.disabled = result !== null;
+    }
+    if (!this.statusElement) return;
+
+    const parts = [result ? `Today's daily: ${result.score}` : 'Daily challenge open'];
+    if (streak > 0) {
+      parts.push(`🔥 ${streak}-day streak (best ${this.challenge.getBestStreak()})`);
+    }
+    this.statusElement.textContent = parts.join(' · ');
+  }
+
+  /**
+   * Hand the summary to the system share sheet, or copy it
+   */
+  async share() {
+    try {
+      if (navigator.share) {
+        await navigator.share({ text: this.shareText });
+      } else {
+        await navigator.clipboard.writeText(this.shareText);
+        this.setShareStatus('Copied to clipboard');
+      }
+    } catch (error) {
+      // Closing the share sheet rejects too; only report real failures
+      if (error.name === 'AbortError') return;
+
+      console.error('Failed to share daily result:', error);
+      this.setShareStatus('Could not share; copy the text above');
+    }
+  }
+
+  /**
+   * Show a message under the share button
+   * @param {string} message
+   */
+  setShareStatus(message) {
+    if (this.shareStatusElement) {
+      this.shareStatusElement.textContent = message;
+    }
+  }
+
+  /**
+   * Hide the run summary
+   */
+  hideSummary() {
+    if (this.summaryElement) {
+      this.summaryElement.hidden = true;
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Focus handling shared by the overlay dialogs, so keyboard and screen-reader
+ * users land inside an overlay when it opens and go back where they were when
+ * it closes.
+ */
+
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Element that had focus before each open dialog took it
+const previousFocus = new WeakMap();
+
+/**
+ * Get the controls inside a dialog that can currently take focus
+ * @param {HTMLElement} element
+ * @returns {HTMLElement[]}
+ */
+function getFocusable(element) {
+  return [...element.querySelectorAll(FOCUSABLE_SELECTOR)]
+    .filter(control => !control.disabled && control.getClientRects().length > 0);
+}
+
+/**
+ * Move focus into an opened dialog, remembering where it came from
+ * @param {HTMLElement} element - The dialog
+ * @param {HTMLElement} target - What to focus; defaults to the first control, then the dialog itself
+ */
+export function focusDialog(element, target = getFocusable(element)[0] || element) {
+  if (!previousFocus.has(element) && document.activeElement instanceof HTMLElement) {
+    previousFocus.set(element, document.activeElement);
+  }
+  target.focus({ preventScroll: true });
+}
+
+/**
+ * Give focus back to whatever had it before the dialog opened
+ * @param {HTMLElement} element - The dialog
+ */
+export function releaseDialog(element) {
+  const previous = previousFocus.get(element);
+  previousFocus.delete(element);
+
+  if (element.contains(document.activeElement)) {
+    document.activeElement.blur();
+  }
+  if (previous && previous.isConnected) {
+    previous.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Move focus to the previous or next control of the topmost open dialog, for
+ * gamepads and arrow keys
+ * @param {number} step - -1 for the previous control, 1 for the next
+ * @returns {boolean} Whether a dialog was open to move through
+ */
+export function moveDialogFocus(step) {
+  const dialogs = [...document.querySelectorAll('[role="dialog"]')]
+    .filter(dialog => dialog.getClientRects().length > 0);
+  const dialog = dialogs[dialogs.length - 1];
+  if (!dialog) return false;
+
+  const controls = getFocusable(dialog);
+  if (controls.length === 0) return true;
+
+  const index = controls.indexOf(document.activeElement);
+  const next = index === -1
+    ? (step > 0 ? 0 : controls.length - 1)
+    : (index + step + controls.length) % controls.length;
+  focusDialog(dialog, controls[next]);
+  return true;
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through a modal dialog's controls
+ * @param {HTMLElement} element - The dialog
+ */
+export function trapFocus(element) {
+  element.addEventListener('keydown', event => {
+    if (event.key !== 'Tab') return;
+
+    const controls = getFocusable(element);
+    if (controls.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = controls[0];
+    const last = controls[controls.length - 1];
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === element)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+}
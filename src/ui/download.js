@@ -0,0 +1,15 @@
+/**
+ * Save text as a file through the browser's download prompt
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+export function downloadText(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
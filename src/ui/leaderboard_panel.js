@@ -0,0 +1,171 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { loadString, saveString } from '../core/storage.js';
+import { DIFFICULTY_PRESETS } from '../config/difficulty_presets.js';
+
+/**
+ * Format a duration in milliseconds as m:ss
+ * @param {number} duration
+ * @returns {string}
+ */
+function formatDuration(duration) {
+  const totalSeconds = Math.round(duration / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Shows the leaderboard on the game-over overlay and prompts for a name
+ */
+export class LeaderboardPanel {
+  constructor(leaderboard) {
+    this.leaderboard = leaderboard;
+    this.listElement = null;
+    this.titleElement = null;
+    this.formElement = null;
+    this.nameInput = null;
+    this.currentMode = null;
+    this.currentEntryId = null;
+    this.isReplaying = false;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      const container = document.getElementById(GAME_CONFIG.LEADERBOARD_ELEMENT_ID);
+      if (container) {
+        this.listElement = container.querySelector('[data-leaderboard-list]');
+        this.titleElement = container.querySelector('[data-leaderboard-title]');
+        this.formElement = container.querySelector('[data-leaderboard-form]');
+        this.nameInput = container.querySelector('[data-leaderboard-name]');
+      }
+
+      this.leaderboard.load();
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize LeaderboardPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    if (this.formElement) {
+      this.formElement.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_OVER, this.handleGameOver.bind(this));
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => { this.isReplaying = true; });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => { this.isReplaying = false; });
+  }
+
+  /**
+   * Record the finished run and show the list
+   * @param {Object} run - { score, mode, difficulty, perfects, duration }
+   */
+  handleGameOver({ score, mode, difficulty, perfects, duration }) {
+    if (this.isReplaying) return;
+
+    // Each difficulty keeps its own list within a mode
+    const board = `${mode}:${difficulty}`;
+    const name = loadString(GAME_CONFIG.PLAYER_NAME_STORAGE_KEY);
+    const entry = this.leaderboard.addEntry(board, { name, score, perfects, duration });
+
+    if (this.titleElement) {
+      const preset = DIFFICULTY_PRESETS[difficulty];
+      this.titleElement.textContent = `${mode.replace('_', ' ')} · ${preset ? preset.label : difficulty}`;
+    }
+
+    this.currentMode = board;
+    this.currentEntryId = entry ? entry.id : null;
+    this.render();
+
+    if (entry) {
+      this.showNamePrompt(entry.name);
+    } else {
+      this.hideNamePrompt();
+    }
+  }
+
+  /**
+   * Save the typed name onto the run's entry
+   * @param {SubmitEvent} event
+   */
+  handleSubmit(event) {
+    event.preventDefault();
+    if (!this.currentEntryId) return;
+
+    const name = this.nameInput ? this.nameInput.value : '';
+    this.leaderboard.renameEntry(this.currentMode, this.currentEntryId, name);
+    saveString(GAME_CONFIG.PLAYER_NAME_STORAGE_KEY, name.trim());
+
+    this.hideNamePrompt();
+    this.render();
+  }
+
+  /**
+   * Show the name-entry form
+   * @param {string} name - Prefilled name
+   */
+  showNamePrompt(name) {
+    if (!this.formElement) return;
+
+    this.formElement.hidden = false;
+    if (this.nameInput) {
+      this.nameInput.value = name;
+      this.nameInput.select();
+    }
+  }
+
+  /**
+   * Hide the name-entry form
+   */
+  hideNamePrompt() {
+    if (this.formElement) {
+      this.formElement.hidden = true;
+    }
+  }
+
+  /**
+   * Render the entries for the current mode
+   */
+  render() {
+    if (!this.listElement) return;
+
+    const entries = this.leaderboard.getEntries(this.currentMode);
+    this.listElement.replaceChildren(...entries.map((entry, index) => {
+      const item = document.createElement('li');
+      item.classList.toggle('is-current', entry.id === this.currentEntryId);
+
+      const rank = document.createElement('span');
+      rank.className = 'leaderboard-rank';
+      rank.textContent = String(index + 1);
+
+      const name = document.createElement('span');
+      name.className = 'leaderboard-name';
+      name.textContent = entry.name;
+
+      const score = document.createElement('span');
+      score.className = 'leaderboard-score';
+      score.textContent = String(entry.score);
+
+      const meta = document.createElement('span');
+      meta.className = 'leaderboard-meta';
+      meta.textContent = `★${entry.perfects} · ${formatDuration(entry.duration)} · ${new Date(entry.date).toLocaleDateString()}`;
+
+      item.append(rank, name, score, meta);
+      return item;
+    }));
+  }
+}
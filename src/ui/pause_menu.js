@@ -0,0 +1,217 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { settings } from '../core/settings.js';
+import { focusDialog, releaseDialog, trapFocus } from './dialog.js';
+
+/**
+ * Manages the pause button, the pause overlay and the resume countdown
+ */
+export class PauseMenu {
+  constructor(settingsPanel) {
+    this.settingsPanel = settingsPanel;
+    this.element = null;
+    this.menuElement = null;
+    this.countdownElement = null;
+    this.pauseButton = null;
+    this.countdownTimer = null;
+    this.isOpen = false;
+    this.isReplaying = false;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.element = document.getElementById(GAME_CONFIG.PAUSE_ELEMENT_ID);
+      this.pauseButton = document.getElementById(GAME_CONFIG.PAUSE_BUTTON_ELEMENT_ID);
+      if (this.element) {
+        this.menuElement = this.element.querySelector('[data-pause-menu]');
+        this.countdownElement = this.element.querySelector('[data-pause-countdown]');
+      }
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize PauseMenu:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    if (this.pauseButton) {
+      this.pauseButton.addEventListener('click', () => {
+        gameEvents.emit(EVENTS.PAUSE_REQUESTED);
+      });
+    }
+
+    if (this.element) {
+      this.element.querySelectorAll('[data-pause-action]').forEach(button => {
+        button.addEventListener('click', this.handleAction.bind(this));
+      });
+      trapFocus(this.element);
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_PAUSED, ({ reason }) => {
+      if (reason === 'user') this.open();
+      // A countdown would finish unseen in a background tab; the player resumes again on return
+      if (reason === 'hidden') this.cancelCountdown();
+    });
+    gameEvents.on(EVENTS.GAME_RESUMED, ({ reason }) => {
+      if (reason === 'user') this.close();
+    });
+    gameEvents.on(EVENTS.RESUME_REQUESTED, () => {
+      if (this.isOpen) this.resume();
+    });
+    gameEvents.on(EVENTS.SETTINGS_CLOSED, () => {
+      if (this.isOpen) this.showMenu();
+    });
+    gameEvents.on(EVENTS.GAME_START, () => this.setPauseButtonVisible(!this.isReplaying));
+    gameEvents.on(EVENTS.GAME_OVER, () => this.setPauseButtonVisible(false));
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => {
+      this.isReplaying = true;
+      this.setPauseButtonVisible(false);
+    });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => {
+      this.isReplaying = false;
+      this.setPauseButtonVisible(false);
+    });
+  }
+
+  /**
+   * Dispatch menu button clicks
+   * @param {MouseEvent} event
+   */
+  handleAction(event) {
+    switch (event.currentTarget.dataset.pauseAction) {
+      case 'resume':
+        this.resume();
+        break;
+      case 'restart':
+        gameEvents.emit(EVENTS.GAME_RESET);
+        break;
+      case 'settings':
+        this.hideMenu();
+        this.settingsPanel.open();
+        break;
+    }
+  }
+
+  /**
+   * Resume the game, counting down first if enabled
+   */
+  resume() {
+    if (this.countdownTimer) return;
+
+    if (!settings.get('resumeCountdown')) {
+      gameEvents.emit(EVENTS.RESUME_CONFIRMED);
+      return;
+    }
+
+    this.hideMenu();
+    this.showCountdown(GAME_CONFIG.RESUME_COUNTDOWN_SECONDS);
+  }
+
+  /**
+   * Show one countdown number and schedule the next
+   * @param {number} remaining
+   */
+  showCountdown(remaining) {
+    if (remaining <= 0) {
+      this.countdownTimer = null;
+      gameEvents.emit(EVENTS.RESUME_CONFIRMED);
+      return;
+    }
+
+    if (this.countdownElement) {
+      this.countdownElement.hidden = false;
+      this.countdownElement.textContent = String(remaining);
+      focusDialog(this.element, this.element);
+    }
+    this.countdownTimer = setTimeout(() => this.showCountdown(remaining - 1), 1000);
+  }
+
+  /**
+   * Stop a running countdown and go back to the menu
+   */
+  cancelCountdown() {
+    if (!this.countdownTimer) return;
+
+    clearTimeout(this.countdownTimer);
+    this.countdownTimer = null;
+    if (this.countdownElement) {
+      this.countdownElement.hidden = true;
+    }
+    this.showMenu();
+  }
+
+  /**
+   * Show the pause overlay
+   */
+  open() {
+    this.isOpen = true;
+    if (this.element) {
+      this.element.hidden = false;
+    }
+    this.showMenu();
+  }
+
+  /**
+   * Hide the pause overlay and cancel any countdown
+   */
+  close() {
+    this.isOpen = false;
+    clearTimeout(this.countdownTimer);
+    this.countdownTimer = null;
+
+    if (this.element) {
+      this.element.hidden = true;
+      releaseDialog(this.element);
+    }
+    if (this.countdownElement) {
+      this.countdownElement.hidden = true;
+    }
+  }
+
+  /**
+   * Show the menu buttons
+   */
+  showMenu() {
+    if (this.element) {
+      this.element.hidden = false;
+    }
+    if (this.menuElement) {
+      this.menuElement.hidden = false;
+    }
+    if (this.element) {
+      focusDialog(this.element);
+    }
+  }
+
+  /**
+   * Hide the menu buttons
+   */
+  hideMenu() {
+    if (this.menuElement) {
+      this.menuElement.hidden = true;
+    }
+  }
+
+  /**
+   * Show or hide the on-screen pause button
+   * @param {boolean} visible
+   */
+  setPauseButtonVisible(visible) {
+    if (this.pauseButton) {
+      this.pauseButton.hidden = !visible;
+    }
+  }
+}
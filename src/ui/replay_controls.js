@@ -0,0 +1,188 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { serializeReplay, parseReplay } from '../game/replay.js';
+import { downloadText } from './download.js';
+
+/**
+ * Manages the replay buttons, playback bar and replay file import/export
+ */
+export class ReplayControls {
+  constructor(recorder, player) {
+    this.recorder = recorder;
+    this.player = player;
+    this.controlsElement = null;
+    this.toggleButton = null;
+    this.scrubber = null;
+    this.speedSelect = null;
+    this.statusElement = null;
+    this.isScrubbing = false;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.controlsElement = document.getElementById(GAME_CONFIG.REPLAY_CONTROLS_ELEMENT_ID);
+      this.toggleButton = document.querySelector('[data-replay-action="toggle"]');
+      this.scrubber = document.querySelector('[data-replay-action="seek"]');
+      this.speedSelect = document.querySelector('[data-replay-action="speed"]');
+      this.statusElement = document.querySelector('[data-replay-status]');
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize ReplayControls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    document.querySelectorAll('button[data-replay-action]').forEach(button => {
+      button.addEventListener('click', this.handleButtonClick.bind(this));
+    });
+
+    const importInput = document.querySelector('[data-replay-action="import"]');
+    if (importInput) {
+      importInput.addEventListener('change', this.handleImport.bind(this));
+    }
+
+    if (this.speedSelect) {
+      this.speedSelect.addEventListener('change', () => {
+        this.player.setSpeed(Number(this.speedSelect.value));
+      });
+    }
+
+    if (this.scrubber) {
+      this.scrubber.addEventListener('input', () => {
+        this.isScrubbing = true;
+        this.player.seek(Number(this.scrubber.value));
+      });
+      this.scrubber.addEventListener('change', () => {
+        this.isScrubbing = false;
+      });
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.REPLAY_STARTED, this.showControls.bind(this));
+    gameEvents.on(EVENTS.REPLAY_STOPPED, this.hideControls.bind(this));
+    gameEvents.on(EVENTS.REPLAY_STATE_CHANGED, this.renderState.bind(this));
+  }
+
+  /**
+   * Dispatch replay button clicks
+   * @param {MouseEvent} event
+   */
+  handleButtonClick(event) {
+    // Keep the click from reaching the overlay behind the button
+    event.stopPropagation();
+
+    switch (event.currentTarget.dataset.replayAction) {
+      case 'watch':
+        this.watchLastReplay();
+        break;
+      case 'export':
+        this.exportLastReplay();
+        break;
+      case 'toggle':
+        this.player.togglePause();
+        break;
+      case 'exit':
+        this.player.stop();
+        break;
+    }
+  }
+
+  /**
+   * Play back the most recent run
+   */
+  watchLastReplay() {
+    const replay = this.recorder.getLastReplay();
+    if (replay) {
+      this.player.play(replay);
+    }
+  }
+
+  /**
+   * Download the most recent run as a JSON file
+   */
+  exportLastReplay() {
+    const replay = this.recorder.getLastReplay();
+    if (!replay) return;
+
+    downloadText(`stack-replay-${replay.seed}-${replay.score}.json`, serializeReplay(replay), 'application/json');
+  }
+
+  /**
+   * Load a replay file chosen by the user and start playing it
+   * @param {Event} event
+   */
+  async handleImport(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+      const replay = parseReplay(await file.text());
+      this.setStatus('');
+      this.player.play(replay);
+    } catch (error) {
+      console.error('Failed to import replay:', error);
+      this.setStatus(error.message);
+    } finally {
+      input.value = '';
+    }
+  }
+
+  /**
+   * Show a message next to the import button
+   * @param {string} message
+   */
+  setStatus(message) {
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+    }
+  }
+
+  /**
+   * Show the playback bar
+   */
+  showControls() {
+    if (this.controlsElement) {
+      this.controlsElement.hidden = false;
+    }
+  }
+
+  /**
+   * Hide the playback bar
+   */
+  hideControls() {
+    if (this.controlsElement) {
+      this.controlsElement.hidden = true;
+    }
+  }
+
+  /**
+   * Reflect playback progress in the controls
+   * @param {Object} state - { tick, totalTicks, isPaused, speed }
+   */
+  renderState({ tick, totalTicks, isPaused, speed }) {
+    if (this.toggleButton) {
+      this.toggleButton.textContent = isPaused ? 'Play' : 'Pause';
+    }
+    if (this.scrubber && !this.isScrubbing) {
+      this.scrubber.max = String(totalTicks);
+      this.scrubber.value = String(tick);
+    }
+    if (this.speedSelect) {
+      this.speedSelect.value = String(speed);
+    }
+  }
+}
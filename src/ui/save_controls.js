@@ -0,0 +1,68 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+
+/**
+ * Offers to continue a saved run from the menu
+ */
+export class SaveControls {
+  /**
+   * @param {RunSaver} saver
+   */
+  constructor(saver) {
+    this.saver = saver;
+    this.continueButton = null;
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.continueButton = document.querySelector('[data-save-action="continue"]');
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+      this.refresh();
+    } catch (error) {
+      console.error('Failed to initialize SaveControls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    if (this.continueButton) {
+      this.continueButton.addEventListener('click', this.handleContinue.bind(this));
+    }
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.SAVE_CHANGED, () => this.refresh());
+  }
+
+  /**
+   * Continue the saved run, or drop the button if the save turned out unusable
+   */
+  handleContinue() {
+    if (!this.saver.resume()) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Show the button only while there's a run to continue
+   */
+  refresh() {
+    if (!this.continueButton) return;
+
+    const snapshot = this.saver.load();
+    this.continueButton.hidden = snapshot === null;
+    if (snapshot) {
+      this.continueButton.textContent = `Continue (${snapshot.score})`;
+    }
+  }
+}
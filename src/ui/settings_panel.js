@@ -0,0 +1,276 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG, GAME_MODES } from '../config/game_config.js';
+import { settings } from '../core/settings.js';
+import { DIFFICULTY_PRESETS } from '../config/difficulty_presets.js';
+import { THEME_PRESETS, CUSTOM_THEME } from '../config/theme_presets.js';
+import { AUTOPILOT_PRESETS } from '../config/autopilot_presets.js';
+import { Theme } from '../core/theme.js';
+import { saveJSON } from '../core/storage.js';
+import { focusDialog, releaseDialog, trapFocus } from './dialog.js';
+
+/**
+ * Controls shown in the settings panel, in display order.
+ * `type` is one of 'checkbox', 'select' (with `options`) or 'range' (with `min`, `max`, `step`).
+ */
+export const SETTINGS_FIELDS = [
+  {
+    key: 'difficulty',
+    label: 'Difficulty (next run)',
+    type: 'select',
+    options: Object.entries(DIFFICULTY_PRESETS).map(([value, preset]) => ({ value, label: preset.label }))
+  },
+  {
+    key: 'gameMode',
+    label: 'Block movement (next run)',
+    type: 'select',
+    options: [
+      { value: GAME_MODES.CLASSIC, label: 'Ping-pong' },
+      { value: GAME_MODES.SUDDEN_DEATH, label: 'Sudden death' }
+    ]
+  },
+  {
+    key: 'theme',
+    label: 'Theme',
+    type: 'select',
+    options: [
+      ...Object.entries(THEME_PRESETS).map(([value, preset]) => ({ value, label: preset.label })),
+      { value: CUSTOM_THEME, label: 'Custom (loaded file)' }
+    ]
+  },
+  {
+    key: 'autopilot',
+    label: 'Robot (demo and opponent)',
+    type: 'select',
+    options: Object.entries(AUTOPILOT_PRESETS).map(([value, preset]) => ({ value, label: preset.label }))
+  },
+  { key: 'coach', label: 'Timing coach (next run)', type: 'checkbox' },
+  { key: 'masterVolume', label: 'Master volume', type: 'range', min: 0, max: 1, step: 0.05 },
+  { key: 'sfxVolume', label: 'Effects volume', type: 'range', min: 0, max: 1, step: 0.05 },
+  { key: 'muted', label: 'Mute', type: 'checkbox' },
+  { key: 'reducedEffects', label: 'Reduced effects and motion', type: 'checkbox' },
+  { key: 'highContrast', label: 'High-contrast block outlines', type: 'checkbox' },
+  { key: 'alignCue', label: 'Sound when the block lines up', type: 'checkbox' },
+  { key: 'resumeCountdown', label: 'Countdown before resuming', type: 'checkbox' },
+  {
+    key: 'latencyOffsetMs',
+    label: 'Latency offset',
+    type: 'range',
+    min: 0,
+    max: GAME_CONFIG.CALIBRATION_MAX_OFFSET_MS,
+    step: 5
+  }
+];
+
+/**
+ * Renders the settings overlay and writes changes to the settings store
+ */
+export class SettingsPanel {
+  constructor() {
+    this.element = null;
+    this.fieldsElement = null;
+    this.themeStatusElement = null;
+    this.inputs = new Map();
+  }
+
+  /**
+   * Initialize DOM references and build the controls
+   */
+  initialize() {
+    try {
+      this.element = document.getElementById(GAME_CONFIG.SETTINGS_ELEMENT_ID);
+      if (!this.element) return;
+
+      this.fieldsElement = this.element.querySelector('[data-settings-fields]');
+      this.renderFields();
+      this.bindQuickPickers();
+      this.bindThemeImport();
+
+      const closeButton = this.element.querySelector('[data-settings-action="close"]');
+      if (closeButton) {
+        closeButton.addEventListener('click', this.close.bind(this));
+      }
+      trapFocus(this.element);
+
+      gameEvents.on(EVENTS.SETTINGS_CHANGED, this.syncField.bind(this));
+    } catch (error) {
+      console.error('Failed to initialize SettingsPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build one labelled control per settings field
+   */
+  renderFields() {
+    if (!this.fieldsElement) return;
+
+    this.fieldsElement.replaceChildren(...SETTINGS_FIELDS.map(field => {
+      const label = document.createElement('label');
+      label.className = `settings-field settings-field-${field.type}`;
+
+      const text = document.createElement('span');
+      text.textContent = field.label;
+
+      const input = this.createInput(field);
+      input.addEventListener('change', () => {
+        settings.set(field.key, this.readInput(field, input));
+      });
+      this.inputs.set(field.key, { field, input });
+      this.writeInput(field, input, settings.get(field.key));
+
+      label.append(text, input);
+      return label;
+    }));
+  }
+
+  /**
+   * Wire standalone controls elsewhere on the page, marked with `data-setting="<key>"`
+   */
+  bindQuickPickers() {
+    document.querySelectorAll('[data-setting]').forEach(input => {
+      const field = SETTINGS_FIELDS.find(candidate => candidate.key === input.dataset.setting);
+      if (!field) return;
+
+      if (field.type === 'select' && input.options.length === 0) {
+        field.options.forEach(({ value, label }) => input.add(new Option(label, value)));
+      }
+      input.addEventListener('change', () => {
+        settings.set(field.key, this.readInput(field, input));
+      });
+      this.writeInput(field, input, settings.get(field.key));
+    });
+  }
+
+  /**
+   * Wire the custom theme file picker
+   */
+  bindThemeImport() {
+    const input = this.element.querySelector('[data-theme-import]');
+    this.themeStatusElement = this.element.querySelector('[data-theme-status]');
+    if (input) {
+      input.addEventListener('change', this.handleThemeImport.bind(this));
+    }
+  }
+
+  /**
+   * Validate a theme file, store it and switch to it
+   * @param {Event} event
+   */
+  async handleThemeImport(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+      const theme = Theme.parse(await file.text());
+      saveJSON(GAME_CONFIG.CUSTOM_THEME_STORAGE_KEY, theme.description);
+      this.setThemeStatus(`Loaded "${theme.label}"`);
+      gameEvents.emit(EVENTS.THEME_LOADED, { theme });
+    } catch (error) {
+      console.error('Failed to load theme:', error);
+      this.setThemeStatus(error.message);
+    } finally {
+      input.value = '';
+    }
+  }
+
+  /**
+   * Show a message next to the theme file picker
+   * @param {string} message
+   */
+  setThemeStatus(message) {
+    if (this.themeStatusElement) {
+      this.themeStatusElement.textContent = message;
+    }
+  }
+
+  /**
+   * Create the form control for a field
+   * @param {Object} field
+   * @returns {HTMLElement}
+   */
+  createInput(field) {
+    if (field.type === 'select') {
+      const select = document.createElement('select');
+      field.options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.append(option);
+      });
+      return select;
+    }
+
+    const input = document.createElement('input');
+    input.type = field.type;
+    if (field.type === 'range') {
+      input.min = String(field.min);
+      input.max = String(field.max);
+      input.step = String(field.step);
+    }
+    return input;
+  }
+
+  /**
+   * Read a control's value in the setting's type
+   * @param {Object} field
+   * @param {HTMLElement} input
+   * @returns {*}
+   */
+  readInput(field, input) {
+    if (field.type === 'checkbox') return input.checked;
+    if (field.type === 'range') return Number(input.value);
+    return input.value;
+  }
+
+  /**
+   * Show a setting's value in its control
+   * @param {Object} field
+   * @param {HTMLElement} input
+   * @param {*} value
+   */
+  writeInput(field, input, value) {
+    if (field.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = String(value);
+    }
+  }
+
+  /**
+   * Keep a control in sync when its setting changes elsewhere
+   * @param {Object} data - { key, value }
+   */
+  syncField({ key, value }) {
+    const entry = this.inputs.get(key);
+    if (entry) {
+      this.writeInput(entry.field, entry.input, value);
+    }
+    
+    document.querySelectorAll(`[data-setting="${key}"]`).forEach(input => {
+      const field = SETTINGS_FIELDS.find(candidate => candidate.key === key);
+      this.writeInput(field, input, value);
+    });
+  }
+
+  /**
+   * Show the settings overlay
+   */
+  open() {
+    if (this.element) {
+      this.element.hidden = false;
+      focusDialog(this.element);
+    }
+  }
+
+  /**
+   * Hide the settings overlay
+   */
+  close() {
+    if (this.element) {
+      this.element.hidden = true;
+      releaseDialog(this.element);
+    }
+    gameEvents.emit(EVENTS.SETTINGS_CLOSED);
+  }
+}
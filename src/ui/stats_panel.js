@@ -0,0 +1,187 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { serializeStatsJSON, serializeStatsCSV } from '../game/run_stats.js';
+import { downloadText } from './download.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart drawing area in viewBox units
+const CHART_WIDTH = 200;
+const CHART_HEIGHT = 60;
+
+/**
+ * Format a 0..1 ratio as a whole percentage
+ * @param {number} ratio
+ * @returns {string}
+ */
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Shows the finished run's placement stats on the game-over overlay and
+ * exports the recorded runs
+ */
+export class StatsPanel {
+  /**
+   * @param {LifetimeStats} lifetime
+   */
+  constructor(lifetime) {
+    this.lifetime = lifetime;
+    this.element = null;
+    this.chartElement = null;
+    this.lifetimeElement = null;
+    this.fieldElements = {};
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.element = document.getElementById(GAME_CONFIG.STATS_ELEMENT_ID);
+      if (this.element) {
+        this.chartElement = this.element.querySelector('[data-stats-chart]');
+        this.lifetimeElement = this.element.querySelector('[data-stats-lifetime]');
+        this.element.querySelectorAll('[data-stats-field]').forEach(element => {
+          this.fieldElements[element.dataset.statsField] = element;
+        });
+      }
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize StatsPanel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    document.querySelectorAll('[data-stats-action]').forEach(element => {
+      element.addEventListener('click', this.handleAction.bind(this));
+    });
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.GAME_START, () => this.hide());
+    gameEvents.on(EVENTS.RUN_STATS_READY, this.show.bind(this));
+  }
+
+  /**
+   * Dispatch a click on an export button
+   * @param {Event} event
+   */
+  handleAction(event) {
+    event.stopPropagation();
+
+    const runs = this.lifetime.getRecentRuns();
+    if (runs.length === 0) return;
+
+    switch (event.currentTarget.dataset.statsAction) {
+      case 'json':
+        downloadText('stack-stats.json', serializeStatsJSON(runs), 'application/json');
+        break;
+      case 'csv':
+        downloadText('stack-stats.csv', serializeStatsCSV(runs), 'text/csv');
+        break;
+    }
+  }
+
+  /**
+   * Fill in the finished run's figures, chart and lifetime line
+   * @param {Object} data - { run, summary, lifetime }
+   */
+  show({ run, summary, lifetime }) {
+    if (!this.element) return;
+
+    this.setField('accuracy', formatPercent(summary.accuracy));
+    this.setField('averageOffset', summary.averageOffset.toFixed(2));
+    this.setField('longestStreak', String(summary.longestStreak));
+    this.setField('averageReactionMs', `${Math.round(summary.averageReactionMs)} ms`);
+
+    this.renderChart(run.placements);
+
+    if (this.lifetimeElement) {
+      this.lifetimeElement.textContent = [
+        `${lifetime.runs} runs`,
+        `${formatPercent(lifetime.accuracy)} perfect`,
+        `avg ${lifetime.averageScore.toFixed(1)}`,
+        `best streak ${lifetime.longestStreak}`
+      ].join(' · ');
+    }
+
+    this.element.hidden = false;
+  }
+
+  /**
+   * Draw one bar per layer, up for overshoots and down for undershoots
+   * @param {Object[]} placements
+   */
+  renderChart(placements) {
+    if (!this.chartElement) return;
+
+    this.chartElement.replaceChildren();
+    const middle = CHART_HEIGHT / 2;
+
+    const axis = document.createElementNS(SVG_NS, 'line');
+    axis.setAttribute('class', 'run-stats-axis');
+    axis.setAttribute('x1', '0');
+    axis.setAttribute('x2', String(CHART_WIDTH));
+    axis.setAttribute('y1', String(middle));
+    axis.setAttribute('y2', String(middle));
+    this.chartElement.appendChild(axis);
+
+    if (placements.length === 0) return;
+
+    // Scale to the worst miss so small offsets stay visible in a clean run
+    const largest = Math.max(...placements.map(({ delta }) => Math.abs(delta)), GAME_CONFIG.PERFECT_TOLERANCE);
+    const slot = CHART_WIDTH / placements.length;
+
+    placements.forEach((placement, index) => {
+      const height = Math.max(Math.abs(placement.delta) / largest * middle, 1);
+      const bar = document.createElementNS(SVG_NS, 'rect');
+      bar.setAttribute('x', String(index * slot + slot * 0.15));
+      bar.setAttribute('width', String(slot * 0.7));
+      bar.setAttribute('y', String(placement.delta > 0 ? middle - height : middle));
+      bar.setAttribute('height', String(height));
+
+      const classes = ['run-stats-bar'];
+      if (placement.isPerfect) classes.push('is-perfect');
+      if (placement.overlapRatio === 0) classes.push('is-miss');
+      bar.setAttribute('class', classes.join(' '));
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `Layer ${placement.layer}: ${placement.delta.toFixed(2)}`;
+      bar.appendChild(title);
+
+      this.chartElement.appendChild(bar);
+    });
+  }
+
+  /**
+   * Update one figure
+   * @param {string} name - data-stats-field value
+   * @param {string} text
+   */
+  setField(name, text) {
+    const element = this.fieldElements[name];
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    if (this.element) {
+      this.element.hidden = true;
+    }
+  }
+}
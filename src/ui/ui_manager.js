@@ -1,5 +1,10 @@
 import { gameEvents, EVENTS } from '../core/event_system.js';
 import { GAME_CONFIG } from '../config/game_config.js';
+import { settings } from '../core/settings.js';
+import { POWER_UPS } from '../config/power_ups.js';
+import { INPUT_ACTIONS } from '../config/input_bindings.js';
+import { isMotionReduced } from '../core/motion.js';
+import { focusDialog, releaseDialog, moveDialogFocus } from './dialog.js';
 
 /**
  * Manages UI elements and user interactions
@@ -9,8 +14,20 @@ export class UIManager {
     this.scoreElement = null;
     this.instructionsElement = null;
     this.resultsElement = null;
+    this.comboElement = null;
+    this.powerUpsElement = null;
+    this.coachHintElement = null;
+    this.powerUpItems = new Map();
     this.score = 0;
+    this.isReplaying = false;
+    this.isPaused = false;
+    this.isVersus = false;
+    this.isScoredDaily = false;
+    this.isResultsShown = false;
     this.isInitialized = false;
+    
+    this.handleResize = this.handleResize.bind(this);
+    this.handleRestartClick = this.handleRestartClick.bind(this);
   }
 
   /**
@@ -21,6 +38,10 @@ export class UIManager {
       this.scoreElement = document.getElementById(GAME_CONFIG.SCORE_ELEMENT_ID);
       this.instructionsElement = document.getElementById(GAME_CONFIG.INSTRUCTIONS_ELEMENT_ID);
       this.resultsElement = document.getElementById(GAME_CONFIG.RESULTS_ELEMENT_ID);
+      this.comboElement = document.getElementById(GAME_CONFIG.COMBO_ELEMENT_ID);
+      this.powerUpsElement = document.getElementById(GAME_CONFIG.POWER_UPS_ELEMENT_ID);
+      this.coachHintElement = document.getElementById(GAME_CONFIG.COACH_HINT_ELEMENT_ID);
+      this.updateMotionClass();
       
       this.setupEventListeners();
       this.setupGameEventListeners();
@@ -35,19 +56,12 @@ export class UIManager {
    * Setup DOM event listeners
    */
   setupEventListeners() {
-    // Mouse and touch events
-    window.addEventListener('mousedown', this.handleUserInput.bind(this));
-    window.addEventListener('touchstart', this.handleUserInput.bind(this));
-    
-    // Keyboard events
-    window.addEventListener('keydown', this.handleKeyDown.bind(this));
-    
     // Window resize
-    window.addEventListener('resize', this.handleResize.bind(this));
+    window.addEventListener('resize', this.handleResize);
     
     // Results screen click to restart
     if (this.resultsElement) {
-      this.resultsElement.addEventListener('click', this.handleRestartClick.bind(this));
+      this.resultsElement.addEventListener('click', this.handleRestartClick);
     }
   }
 
@@ -55,29 +69,131 @@ export class UIManager {
    * Setup game event listeners
    */
   setupGameEventListeners() {
+    gameEvents.on(EVENTS.INPUT_ACTION, this.handleAction.bind(this));
     gameEvents.on(EVENTS.SCORE_UPDATE, this.updateScore.bind(this));
     gameEvents.on(EVENTS.GAME_START, this.showGameUI.bind(this));
+    gameEvents.on(EVENTS.RUN_RESTORED, this.showGameUI.bind(this));
     gameEvents.on(EVENTS.GAME_OVER, this.showGameOverUI.bind(this));
     gameEvents.on(EVENTS.GAME_RESET, this.resetUI.bind(this));
+    gameEvents.on(EVENTS.PERFECT_PLACEMENT, this.showPerfect.bind(this));
+    gameEvents.on(EVENTS.COMBO_BROKEN, this.hideCombo.bind(this));
+    gameEvents.on(EVENTS.POWER_UPS_CHANGED, this.updatePowerUps.bind(this));
+    gameEvents.on(EVENTS.AUTOPILOT_HINT, this.showCoachHint.bind(this));
+    gameEvents.on(EVENTS.SETTINGS_CHANGED, ({ key }) => {
+      if (key === 'reducedEffects') this.updateMotionClass();
+    });
+    gameEvents.on(EVENTS.GAME_PAUSED, ({ reason }) => {
+      if (reason === 'user') this.isPaused = true;
+    });
+    gameEvents.on(EVENTS.GAME_RESUMED, ({ reason }) => {
+      if (reason === 'user') this.isPaused = false;
+    });
+    gameEvents.on(EVENTS.DAILY_STARTED, ({ isPractice }) => { this.isScoredDaily = !isPractice; });
+    gameEvents.on(EVENTS.DAILY_FINISHED, () => { this.isScoredDaily = false; });
+    gameEvents.on(EVENTS.REPLAY_STARTED, () => { this.isReplaying = true; });
+    gameEvents.on(EVENTS.REPLAY_STOPPED, () => {
+      this.isReplaying = false;
+      this.resetUI();
+    });
+    
+    // Versus mode routes input per player and has its own HUD
+    gameEvents.on(EVENTS.VERSUS_STARTED, () => {
+      this.isVersus = true;
+      this.hideSinglePlayerUI();
+    });
+    gameEvents.on(EVENTS.VERSUS_STOPPED, () => {
+      this.isVersus = false;
+      this.resetUI();
+    });
   }
 
   /**
-   * Handle user input (mouse, touch)
+   * Check if an input event originated from an interactive UI control
    * @param {Event} event 
+   * @returns {boolean}
    */
-  handleUserInput(event) {
-    event.preventDefault();
-    gameEvents.emit(EVENTS.BLOCK_PLACED);
+  isFromUIControl(event) {
+    return event.target instanceof Element && event.target.closest('[data-ui-control]') !== null;
   }
 
   /**
-   * Handle keyboard input
-   * @param {KeyboardEvent} event 
+   * Act on an input action from the InputManager
+   * @param {Object} data - { action, source, event, timeStamp }
    */
-  handleKeyDown(event) {
-    if (event.key === ' ' || event.code === 'Space') {
+  handleAction({ action, source, event, timeStamp }) {
+    switch (action) {
+      case INPUT_ACTIONS.MUTE:
+        settings.set('muted', !settings.get('muted'));
+        return;
+      case INPUT_ACTIONS.MENU_UP:
+      case INPUT_ACTIONS.MENU_DOWN:
+        this.moveMenuFocus(action === INPUT_ACTIONS.MENU_UP ? -1 : 1, event);
+        return;
+      case INPUT_ACTIONS.MENU_SELECT: {
+        const active = document.activeElement;
+        if (active instanceof HTMLElement && active.closest('[data-ui-control]')) {
+          active.click();
+        }
+        return;
+      }
+    }
+    
+    // Versus controls own the remaining actions during a match
+    if (this.isVersus) return;
+    
+    switch (action) {
+      case INPUT_ACTIONS.PAUSE:
+        if (event) event.preventDefault();
+        gameEvents.emit(this.isPaused ? EVENTS.RESUME_REQUESTED : EVENTS.PAUSE_REQUESTED);
+        break;
+      case INPUT_ACTIONS.PLACE:
+        this.handlePlace(source, event, timeStamp);
+        break;
+      case INPUT_ACTIONS.PLACE_SECOND:
+      case INPUT_ACTIONS.RESTART:
+        // Player two's key only restarts from the results; restart works any time outside
+        // replays and the scored daily, where it would throw away the day's only attempt
+        const canRestart = !this.isReplaying && !this.isScoredDaily;
+        if (this.isResultsShown || (action === INPUT_ACTIONS.RESTART && canRestart)) {
+          if (event) event.preventDefault();
+          gameEvents.emit(EVENTS.GAME_RESET);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Drop the block, or restart from the results
+   * @param {string} source - 'keyboard', 'pointer' or 'gamepad'
+   * @param {Event|null} event 
+   * @param {number|null} timeStamp - When the input happened, so the drop lands where the block was then
+   */
+  handlePlace(source, event, timeStamp) {
+    // Input on the pause menu or while it's open must never drop a block
+    if (this.isPaused || (event && this.isFromUIControl(event))) return;
+    
+    if (event) event.preventDefault();
+    
+    // Dropping does nothing once the run is over; keys and buttons restart from the results instead,
+    // while a click restarts through the results' own click handler
+    if (this.isResultsShown && source !== 'pointer') {
+      gameEvents.emit(EVENTS.GAME_RESET);
+      return;
+    }
+    gameEvents.emit(EVENTS.BLOCK_PLACED, { timeStamp });
+  }
+
+  /**
+   * Step through the open dialog's controls
+   * @param {number} step - -1 or 1
+   * @param {Event|null} event 
+   */
+  moveMenuFocus(step, event) {
+    // Arrow keys already adjust pickers and sliders
+    if (event && event.target instanceof Element && event.target.matches('select, input')) return;
+    
+    if (moveDialogFocus(step) && event) {
       event.preventDefault();
-      gameEvents.emit(EVENTS.BLOCK_PLACED);
     }
   }
 
@@ -93,10 +209,20 @@ export class UIManager {
    * @param {Event} event 
    */
   handleRestartClick(event) {
+    if (this.isVersus || this.isFromUIControl(event)) return;
+    
     event.preventDefault();
     gameEvents.emit(EVENTS.GAME_RESET);
   }
 
+  /**
+   * Mirror reduced motion onto the page so CSS animations follow the in-game
+   * setting as well as the system preference
+   */
+  updateMotionClass() {
+    document.body.classList.toggle('reduced-motion', isMotionReduced());
+  }
+
   /**
    * Update score display
    * @param {number} newScore 
@@ -108,46 +234,149 @@ export class UIManager {
     }
   }
 
+  /**
+   * Show the perfect-placement banner with the current streak
+   * @param {Object} data - { combo, grew }
+   */
+  showPerfect({ combo }) {
+    if (!this.comboElement) return;
+
+    this.comboElement.textContent = combo > 1 ? `Perfect ×${combo}` : 'Perfect!';
+    
+    // Restart the pop animation on consecutive perfects
+    this.comboElement.classList.remove('visible');
+    void this.comboElement.offsetWidth;
+    this.comboElement.classList.add('visible');
+  }
+
+  /**
+   * Flash the coach's cue to drop now
+   */
+  showCoachHint() {
+    if (!this.coachHintElement || this.isReplaying) return;
+
+    this.coachHintElement.classList.remove('visible');
+    void this.coachHintElement.offsetWidth;
+    this.coachHintElement.classList.add('visible');
+  }
+
+  /**
+   * Hide the combo banner
+   */
+  hideCombo() {
+    if (this.comboElement) {
+      this.comboElement.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Show one badge per active power-up, with a draining bar for timed ones
+   * @param {Object} data - { powerUps: [{ type, remaining, duration }] }
+   */
+  updatePowerUps({ powerUps }) {
+    if (!this.powerUpsElement) return;
+
+    const activeTypes = powerUps.map(({ type }) => type);
+    this.powerUpItems.forEach((item, type) => {
+      if (!activeTypes.includes(type)) {
+        item.remove();
+        this.powerUpItems.delete(type);
+      }
+    });
+
+    powerUps.forEach(({ type, remaining, duration }) => {
+      let item = this.powerUpItems.get(type);
+      if (!item) {
+        item = document.createElement('li');
+        item.className = 'power-up';
+        item.textContent = `${POWER_UPS[type].icon} ${POWER_UPS[type].label}`;
+        const bar = document.createElement('span');
+        bar.className = 'power-up-timer';
+        item.append(bar);
+        this.powerUpsElement.append(item);
+        this.powerUpItems.set(type, item);
+      }
+
+      const bar = item.querySelector('.power-up-timer');
+      bar.hidden = remaining === null;
+      if (remaining !== null) {
+        bar.style.width = `${(remaining / duration) * 100}%`;
+        item.title = `${Math.ceil(remaining / 1000)}s left`;
+      }
+    });
+  }
+
   /**
    * Show game UI (hide instructions, show score)
    */
   showGameUI() {
-    if (this.instructionsElement) {
-      this.instructionsElement.style.display = 'none';
-    }
-    if (this.resultsElement) {
-      this.resultsElement.style.display = 'none';
-    }
+    this.hideDialog(this.instructionsElement);
+    this.hideDialog(this.resultsElement);
+    this.isResultsShown = false;
     this.updateScore(0);
   }
 
+  /**
+   * Hide the menus, score and combo of the single-player game
+   */
+  hideSinglePlayerUI() {
+    this.hideDialog(this.instructionsElement);
+    this.hideDialog(this.resultsElement);
+    this.isResultsShown = false;
+    [this.scoreElement, this.powerUpsElement].forEach(element => {
+      if (element) element.style.display = 'none';
+    });
+    this.hideCombo();
+  }
+
   /**
    * Show game over UI
    */
   showGameOverUI() {
+    if (this.isReplaying) return;
+    
     if (this.resultsElement) {
       this.resultsElement.style.display = 'flex';
+      // The dialog itself takes focus so Space and Enter restart rather than pressing a button
+      focusDialog(this.resultsElement, this.resultsElement);
     }
+    this.isResultsShown = true;
+    this.hideCombo();
   }
 
   /**
    * Show instructions UI
    */
   showInstructionsUI() {
+    this.hideDialog(this.resultsElement);
+    this.isResultsShown = false;
     if (this.instructionsElement) {
       this.instructionsElement.style.display = 'flex';
+      focusDialog(this.instructionsElement, this.instructionsElement);
     }
-    if (this.resultsElement) {
-      this.resultsElement.style.display = 'none';
-    }
+  }
+
+  /**
+   * Hide an overlay, handing focus back if it was inside
+   * @param {HTMLElement|null} element 
+   */
+  hideDialog(element) {
+    if (!element) return;
+    
+    element.style.display = 'none';
+    releaseDialog(element);
   }
 
   /**
    * Reset UI to initial state
    */
   resetUI() {
+    [this.scoreElement, this.powerUpsElement].forEach(element => {
+      if (element) element.style.display = '';
+    });
     this.showInstructionsUI();
     this.updateScore(0);
+    this.hideCombo();
   }
 
   /**
@@ -155,13 +384,10 @@ export class UIManager {
    */
   dispose() {
     // Remove DOM event listeners
-    window.removeEventListener('mousedown', this.handleUserInput.bind(this));
-    window.removeEventListener('touchstart', this.handleUserInput.bind(this));
-    window.removeEventListener('keydown', this.handleKeyDown.bind(this));
-    window.removeEventListener('resize', this.handleResize.bind(this));
+    window.removeEventListener('resize', this.handleResize);
     
     if (this.resultsElement) {
-      this.resultsElement.removeEventListener('click', this.handleRestartClick.bind(this));
+      this.resultsElement.removeEventListener('click', this.handleRestartClick);
     }
     
     this.isInitialized = false;
@@ -0,0 +1,198 @@
+import { gameEvents, EVENTS } from '../core/event_system.js';
+import { GAME_CONFIG } from '../config/game_config.js';
+import { INPUT_ACTIONS } from '../config/input_bindings.js';
+import { formatKey } from '../core/input_manager.js';
+import { focusDialog, releaseDialog } from './dialog.js';
+
+// Drop action per player, left player first
+const PLAYER_ACTIONS = [INPUT_ACTIONS.PLACE, INPUT_ACTIONS.PLACE_SECOND];
+
+/**
+ * Manages the versus entry button, the split-screen HUD, per-player input and the round result
+ */
+export class VersusControls {
+  /**
+   * @param {VersusMatch} match
+   * @param {InputBindings} bindings - For showing each player's drop key
+   */
+  constructor(match, bindings) {
+    this.match = match;
+    this.bindings = bindings;
+    this.element = null;
+    this.resultElement = null;
+    this.messageElement = null;
+    this.scoreElements = [];
+    this.keyElements = [];
+    this.playerScopes = [];
+  }
+
+  /**
+   * Initialize DOM references and listeners
+   */
+  initialize() {
+    try {
+      this.element = document.getElementById(GAME_CONFIG.VERSUS_ELEMENT_ID);
+      if (this.element) {
+        this.resultElement = this.element.querySelector('[data-versus-result]');
+        this.messageElement = this.element.querySelector('[data-versus-message]');
+        this.scoreElements = [...this.element.querySelectorAll('[data-versus-score]')];
+        this.keyElements = [...this.element.querySelectorAll('[data-versus-key]')];
+      }
+
+      this.setupEventListeners();
+      this.setupGameEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize VersusControls:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Setup DOM event listeners
+   */
+  setupEventListeners() {
+    document.querySelectorAll('[data-versus-action]').forEach(element => {
+      element.addEventListener('click', this.handleAction.bind(this));
+    });
+  }
+
+  /**
+   * Setup game event listeners
+   */
+  setupGameEventListeners() {
+    gameEvents.on(EVENTS.INPUT_ACTION, this.handleInput.bind(this));
+    gameEvents.on(EVENTS.VERSUS_STARTED, this.handleStarted.bind(this));
+    gameEvents.on(EVENTS.VERSUS_ROUND_STARTED, () => this.hideResult());
+    gameEvents.on(EVENTS.VERSUS_FINISHED, this.showResult.bind(this));
+    gameEvents.on(EVENTS.VERSUS_STOPPED, this.handleStopped.bind(this));
+  }
+
+  /**
+   * Dispatch a click on a versus button
+   * @param {Event} event
+   */
+  handleAction(event) {
+    switch (event.currentTarget.dataset.versusAction) {
+      case 'start':
+        this.match.start();
+        break;
+      case 'robot':
+        this.match.start({ withRobot: true });
+        break;
+      case 'rematch':
+        this.match.startRound();
+        break;
+      case 'exit':
+        this.match.stop();
+        break;
+    }
+  }
+
+  /**
+   * Show the HUD and follow each player's score
+   * @param {Object} data - { players }
+   */
+  handleStarted({ players }) {
+    this.playerScopes = players.map(player => {
+      const scope = player.events.createScope();
+      scope.on(EVENTS.SCORE_UPDATE, score => this.setScore(player.index, String(score)));
+      scope.on(EVENTS.GAME_OVER, ({ score }) => this.setScore(player.index, `${score} ✖`));
+      return scope;
+    });
+    players.forEach(player => {
+      const keyElement = this.keyElements[player.index];
+      if (keyElement) {
+        const [key] = this.bindings.get(PLAYER_ACTIONS[player.index]).keys;
+        keyElement.textContent = player.isRobot ? player.label : (key ? formatKey(key) : '');
+      }
+    });
+
+    if (this.element) {
+      this.element.hidden = false;
+    }
+  }
+
+  /**
+   * Hide the HUD when the match ends
+   */
+  handleStopped() {
+    this.playerScopes.forEach(scope => scope.dispose());
+    this.playerScopes = [];
+
+    this.hideResult();
+    if (this.element) {
+      this.element.hidden = true;
+    }
+  }
+
+  /**
+   * Drop for the player an input belongs to; pause leaves the match
+   * @param {Object} data - { action, source, event, gamepad, x, timeStamp }
+   */
+  handleInput({ action, source, event, gamepad, x, timeStamp }) {
+    if (!this.match.isActive) return;
+
+    if (action === INPUT_ACTIONS.PAUSE) {
+      if (event) event.preventDefault();
+      this.match.stop();
+      return;
+    }
+
+    if (!PLAYER_ACTIONS.includes(action)) return;
+    if (event && event.target instanceof Element && event.target.closest('[data-ui-control]')) return;
+
+    if (event) event.preventDefault();
+    this.match.place(this.getPlayerIndex(action, source, gamepad, x), timeStamp);
+  }
+
+  /**
+   * Work out whose drop an input is: the player's own key, the first or
+   * second gamepad, or the half of the screen that was clicked or tapped
+   * @param {string} action
+   * @param {string} source
+   * @param {number|null} gamepad
+   * @param {number|null} x
+   * @returns {number}
+   */
+  getPlayerIndex(action, source, gamepad, x) {
+    if (source === 'pointer') return x < window.innerWidth / 2 ? 0 : 1;
+    if (source === 'gamepad' && action === INPUT_ACTIONS.PLACE) return Math.min(gamepad, 1);
+    return PLAYER_ACTIONS.indexOf(action);
+  }
+
+  /**
+   * Update one player's score readout
+   * @param {number} index
+   * @param {string} text
+   */
+  setScore(index, text) {
+    const element = this.scoreElements[index];
+    if (element) {
+      element.textContent = text;
+    }
+  }
+
+  /**
+   * Announce the winner
+   * @param {Object} data - { scores, winner }
+   */
+  showResult({ scores, winner }) {
+    if (!this.resultElement) return;
+
+    const headline = winner === null ? 'Draw!' : `${this.match.players[winner].label} wins!`;
+    this.messageElement.textContent = `${headline} ${scores.join(' – ')}`;
+    this.resultElement.hidden = false;
+    // Focus the dialog rather than a button, which the drop keys would press
+    focusDialog(this.resultElement, this.resultElement);
+  }
+
+  /**
+   * Hide the round result
+   */
+  hideResult() {
+    if (this.resultElement) {
+      this.resultElement.hidden = true;
+      releaseDialog(this.resultElement);
+    }
+  }
+}
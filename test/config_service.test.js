@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigService } from '../src/core/config_service.js';
+import { GAME_CONFIG } from '../src/config/game_config.js';
+
+test('validate accepts values within the schema', () => {
+  const config = new ConfigService('test.config');
+
+  assert.equal(config.validate('speed', 0.012), null);
+  assert.equal(config.validate('speed', '0.012'), null);
+  assert.equal(config.validate('solverIterations', 20), null);
+  assert.equal(config.validate('powerUpChance', { classic: 0.5 }), null);
+});
+
+test('validate rejects unknown names, wrong types and out-of-range values', () => {
+  const config = new ConfigService('test.config');
+
+  assert.match(config.validate('warp', 1), /unknown option "warp"/);
+  assert.match(config.validate('speed', 0), /"speed" must be a number between/);
+  assert.match(config.validate('speed', 'fast'), /"speed" must be/);
+  assert.match(config.validate('solverIterations', 2.5), /must be an integer/);
+  assert.match(config.validate('stepMs', -1), /"stepMs"/);
+  assert.match(config.validate('slowDuration', 0), /"slowDuration"/);
+  assert.match(config.validate('powerUpChance', { arcade: 0.5 }), /"powerUpChance"/);
+  assert.match(config.validate('powerUpChance', { classic: 2 }), /"powerUpChance"/);
+});
+
+test('load keeps valid URL overrides and reports the rest', () => {
+  const config = new ConfigService('test.config');
+  const speed = GAME_CONFIG.MOVEMENT_SPEED;
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    config.load('?speed=0.02&boxSize=100&theme=dark');
+    assert.equal(GAME_CONFIG.MOVEMENT_SPEED, 0.02);
+    assert.deepEqual(Object.keys(config.getOverrides()), ['speed']);
+    assert.equal(config.getErrors().length, 1);
+    assert.match(config.getErrors()[0], /"boxSize"/);
+  } finally {
+    console.warn = warn;
+    config.restore({ MOVEMENT_SPEED: speed });
+  }
+});
+
+test('assign refuses keys outside the schema and out-of-range values, writing nothing', () => {
+  const config = new ConfigService('test.config');
+  const speed = GAME_CONFIG.MOVEMENT_SPEED;
+  const storageKey = GAME_CONFIG.SAVE_STORAGE_KEY;
+
+  assert.throws(() => config.assign({ SAVE_STORAGE_KEY: 'elsewhere' }), /not a configurable value/);
+  assert.throws(() => config.assign({ MOVEMENT_SPEED: 0.02, SIMULATION_STEP_MS: 0 }), /"stepMs"/);
+  assert.equal(GAME_CONFIG.SAVE_STORAGE_KEY, storageKey);
+  assert.equal(GAME_CONFIG.MOVEMENT_SPEED, speed);
+});
+
+test('assign writes valid values and restore puts the snapshot back', () => {
+  const config = new ConfigService('test.config');
+  const snapshot = { ...GAME_CONFIG };
+
+  config.assign({ MOVEMENT_SPEED: 0.02, ORIGINAL_BOX_SIZE: 4 });
+  assert.equal(GAME_CONFIG.MOVEMENT_SPEED, 0.02);
+  assert.equal(GAME_CONFIG.ORIGINAL_BOX_SIZE, 4);
+
+  config.restore(snapshot);
+  assert.equal(GAME_CONFIG.MOVEMENT_SPEED, snapshot.MOVEMENT_SPEED);
+  assert.equal(GAME_CONFIG.ORIGINAL_BOX_SIZE, snapshot.ORIGINAL_BOX_SIZE);
+});
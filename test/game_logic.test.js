@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameLogic } from '../src/game/game_logic.js';
+import { EventSystem, EVENTS } from '../src/core/event_system.js';
+import { GAME_CONFIG, GAME_MODES } from '../src/config/game_config.js';
+import { POWER_UP_TYPES } from '../src/config/power_ups.js';
+
+/**
+ * Start a classic run on a private bus
+ * @param {number} seed
+ * @returns {GameLogic}
+ */
+function startGame(seed = 1) {
+  const gameLogic = new GameLogic(new EventSystem());
+  gameLogic.setMode(GAME_MODES.CLASSIC);
+  gameLogic.setDifficulty('normal');
+  gameLogic.startGame(seed);
+  return gameLogic;
+}
+
+/**
+ * Move the moving layer to an offset from the one below, then drop it
+ * @param {GameLogic} gameLogic
+ * @param {number} offset
+ */
+function dropAt(gameLogic, offset) {
+  const [previous, top] = gameLogic.stack.slice(-2);
+  const direction = top.direction;
+  top.position[direction] = previous.getPosition(direction) + offset;
+  top.storePreviousPosition();
+  gameLogic.dropBlock();
+}
+
+test('a drop within the tolerance snaps onto the layer below and counts as perfect', () => {
+  const gameLogic = startGame();
+  const perfects = [];
+  gameLogic.events.on(EVENTS.PERFECT_PLACEMENT, data => perfects.push(data));
+
+  dropAt(gameLogic, GAME_CONFIG.PERFECT_TOLERANCE / 2);
+
+  const [previous, placed] = gameLogic.stack.slice(-3, -1);
+  const direction = placed.direction;
+  assert.equal(perfects.length, 1);
+  assert.equal(placed.getPosition(direction), previous.getPosition(direction));
+  assert.equal(placed.getSize(direction), previous.getSize(direction));
+  assert.equal(gameLogic.getScore(), 1);
+});
+
+test('an offset drop is cut to the overlap and the rest falls as an overhang', () => {
+  const gameLogic = startGame();
+  const offset = 0.8;
+
+  dropAt(gameLogic, offset);
+
+  const [previous, placed] = gameLogic.stack.slice(-3, -1);
+  const direction = placed.direction;
+  const size = previous.getSize(direction);
+  assert.ok(Math.abs(placed.getSize(direction) - (size - offset)) < 1e-9);
+  assert.ok(Math.abs(placed.getPosition(direction) - (previous.getPosition(direction) + offset / 2)) < 1e-9);
+  assert.equal(gameLogic.overhangs.length, 1);
+  assert.ok(Math.abs(gameLogic.overhangs[0].getSize(direction) - offset) < 1e-9);
+});
+
+test('missing the stack entirely ends the run', () => {
+  const gameLogic = startGame();
+  let gameOver = null;
+  gameLogic.events.on(EVENTS.GAME_OVER, data => { gameOver = data; });
+
+  dropAt(gameLogic, GAME_CONFIG.ORIGINAL_BOX_SIZE + 1);
+
+  assert.ok(gameOver);
+  assert.ok(gameLogic.hasGameEnded());
+});
+
+test('a perfect streak grows the next layer, not the one that landed', () => {
+  const gameLogic = startGame();
+  dropAt(gameLogic, 1);
+  const cutSize = gameLogic.stack[gameLogic.stack.length - 2].width;
+
+  for (let i = 0; i < GAME_CONFIG.COMBO_REGROW_THRESHOLD; i++) {
+    dropAt(gameLogic, 0);
+  }
+
+  const [previous, placed, next] = gameLogic.stack.slice(-3);
+  assert.equal(placed.width, previous.width);
+  assert.equal(placed.depth, previous.depth);
+  assert.ok(next.width > placed.width || next.depth > placed.depth);
+  assert.ok(Math.min(next.width, next.depth) <= cutSize + GAME_CONFIG.COMBO_REGROW_AMOUNT);
+});
+
+test('widen lengthens the next layer along its travel axis only', () => {
+  const gameLogic = startGame();
+  dropAt(gameLogic, 1);
+  gameLogic.stack[gameLogic.stack.length - 1].powerUp = POWER_UP_TYPES.WIDEN;
+
+  dropAt(gameLogic, 0.05);
+
+  const [placed, next] = gameLogic.stack.slice(-2);
+  const across = next.direction === 'x' ? 'z' : 'x';
+  assert.ok(next.getSize(next.direction) > placed.getSize(next.direction));
+  assert.equal(next.getSize(across), placed.getSize(across));
+});
+
+test('a restored snapshot continues exactly like the original run', () => {
+  const original = startGame(5);
+  dropAt(original, 0.3);
+  dropAt(original, 0);
+  for (let i = 0; i < 37; i++) original.update(GAME_CONFIG.SIMULATION_STEP_MS);
+
+  const restored = new GameLogic(new EventSystem());
+  restored.restoreSnapshot(JSON.parse(JSON.stringify(original.createSnapshot())));
+
+  [original, restored].forEach(gameLogic => {
+    for (let i = 0; i < 50; i++) gameLogic.update(GAME_CONFIG.SIMULATION_STEP_MS);
+    gameLogic.dropBlock();
+    for (let i = 0; i < 20; i++) gameLogic.update(GAME_CONFIG.SIMULATION_STEP_MS);
+  });
+
+  assert.deepEqual(restored.createSnapshot(), original.createSnapshot());
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameLogic } from '../src/game/game_logic.js';
+import { gameEvents, EVENTS } from '../src/core/event_system.js';
+import { GAME_CONFIG, GAME_MODES } from '../src/config/game_config.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay, serializeReplay, REPLAY_FORMAT_VERSION } from '../src/game/replay.js';
+
+// How far off each drop is aimed and how far it's rewound, cycled through so the
+// run has perfects, cuts and rewound drops; the run ends with a deliberate miss
+const DROP_OFFSETS = [0.05, 0.3, 0.02, 0.5, 0.2];
+const DROP_REWINDS = [0, 0.4, 1.5, 0, 2.25];
+const LAYERS_BEFORE_MISS = 15;
+const MAX_TICKS = 40000;
+
+/**
+ * Distance of the moving layer from the one below, along its travel axis
+ * @param {GameLogic} gameLogic
+ * @returns {number}
+ */
+function getOffset(gameLogic) {
+  const [previous, top] = gameLogic.stack.slice(-2);
+  return Math.abs(top.getPosition(top.direction) - previous.getPosition(top.direction));
+}
+
+/**
+ * Check if the moving layer is where the script wants to drop it
+ * @param {GameLogic} gameLogic
+ * @param {number} drops - Drops made so far
+ * @returns {boolean}
+ */
+function isDropDue(gameLogic, drops) {
+  const top = gameLogic.stack[gameLogic.stack.length - 1];
+  if (drops >= LAYERS_BEFORE_MISS) {
+    return getOffset(gameLogic) > top.getSize(top.direction);
+  }
+  return getOffset(gameLogic) <= DROP_OFFSETS[drops % DROP_OFFSETS.length];
+}
+
+/**
+ * Play a run on the global bus with scripted drops until it ends
+ * @param {GameLogic} gameLogic
+ * @param {number} seed
+ * @returns {Object} { score, tick }
+ */
+function playScriptedRun(gameLogic, seed) {
+  let gameOver = null;
+  const unsubscribe = gameEvents.on(EVENTS.GAME_OVER, ({ score, tick }) => { gameOver = { score, tick }; });
+
+  gameLogic.setMode(GAME_MODES.CLASSIC);
+  gameLogic.setDifficulty('normal');
+  gameLogic.startGame(seed);
+
+  let drops = 0;
+  let layerTick = 0;
+  while (!gameOver && gameLogic.getTick() < MAX_TICKS) {
+    gameLogic.update(GAME_CONFIG.SIMULATION_STEP_MS);
+    layerTick++;
+    // Give each new layer a moment so a drop is never made on the tick it spawns
+    if (layerTick > 10 && isDropDue(gameLogic, drops)) {
+      gameLogic.dropBlock(DROP_REWINDS[drops % DROP_REWINDS.length]);
+      drops++;
+      layerTick = 0;
+    }
+  }
+
+  unsubscribe();
+  return gameOver;
+}
+
+/**
+ * Play a replay back headlessly to its last tick
+ * @param {Object} replay
+ * @returns {Object} { score, tick } of the game over seen during playback
+ */
+function playBack(replay) {
+  const gameLogic = new GameLogic();
+  const game = {
+    gameLogic,
+    step(stepMs) {
+      player.applyInputs();
+      gameLogic.update(stepMs);
+    }
+  };
+  const player = new ReplayPlayer(game);
+
+  let gameOver = null;
+  const unsubscribe = gameEvents.on(EVENTS.GAME_OVER, ({ score, tick }) => { gameOver = { score, tick }; });
+  player.play(replay);
+  player.seek(player.getTotalTicks());
+  player.stop();
+  unsubscribe();
+  return gameOver;
+}
+
+/**
+ * Record one scripted run
+ * @param {number} seed
+ * @returns {Object} { replay, result }
+ */
+function recordRun(seed) {
+  const recorder = new ReplayRecorder();
+  const result = playScriptedRun(new GameLogic(), seed);
+  return { replay: recorder.getLastReplay(), result };
+}
+
+test('the same seed and inputs give the same run', () => {
+  const first = playScriptedRun(new GameLogic(), 42);
+  const second = playScriptedRun(new GameLogic(), 42);
+
+  assert.ok(first, 'the scripted run should end');
+  assert.ok(first.score >= 10, 'the scripted run should stack several layers');
+  assert.deepEqual(second, first);
+});
+
+test('a recorded replay plays back to the same score and end tick', () => {
+  const { replay, result } = recordRun(7);
+  assert.equal(replay.score, result.score);
+  assert.equal(replay.endTick, result.tick);
+  assert.ok(replay.rewinds.some(rewind => rewind > 0), 'the run should include rewound drops');
+
+  const playback = playBack(parseReplay(serializeReplay(replay)));
+  assert.deepEqual(playback, { score: replay.score, tick: replay.endTick });
+});
+
+test('replays only carry simulation config', () => {
+  const { replay } = recordRun(3);
+  assert.ok('MOVEMENT_SPEED' in replay.config);
+  assert.ok(!('SAVE_STORAGE_KEY' in replay.config));
+  assert.ok(!('SCORE_ELEMENT_ID' in replay.config));
+});
+
+test('a version 1 replay is migrated to the current format', () => {
+  const { replay } = recordRun(11);
+  const { POWER_UP_CHANCE, ...config } = replay.config;
+  const legacy = {
+    version: 1,
+    seed: replay.seed,
+    config,
+    placements: replay.placements,
+    endTick: replay.endTick,
+    score: replay.score
+  };
+
+  const migrated = parseReplay(JSON.stringify(legacy));
+  assert.equal(migrated.version, REPLAY_FORMAT_VERSION);
+  assert.equal(migrated.difficulty, 'legacy');
+  assert.equal(migrated.mode, GAME_MODES.SUDDEN_DEATH);
+  assert.deepEqual(migrated.config.POWER_UP_CHANCE, {});
+  assert.deepEqual(migrated.rewinds, replay.placements.map(() => 0));
+});
+
+test('replays with unsafe or malformed config are rejected', () => {
+  const { replay } = recordRun(5);
+  const withConfig = overrides => JSON.stringify({ ...replay, config: { ...replay.config, ...overrides } });
+
+  assert.throws(() => parseReplay(withConfig({ SIMULATION_STEP_MS: 0 })), /stepMs/);
+  assert.throws(() => parseReplay(withConfig({ SOLVER_ITERATIONS: 2.5 })), /solverIterations/);
+  assert.throws(() => parseReplay(withConfig({ POWER_UP_CHANCE: { arcade: 1 } })), /powerUpChance/);
+
+  const parsed = parseReplay(withConfig({ SAVE_STORAGE_KEY: 'elsewhere' }));
+  assert.ok(!('SAVE_STORAGE_KEY' in parsed.config));
+});
+
+test('malformed replay files are rejected', () => {
+  const { replay } = recordRun(9);
+
+  assert.throws(() => parseReplay('{'), /not valid JSON/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: 99 })), /Unsupported replay version/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, placements: [5, 2] })), /ascending/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, rewinds: [] })), /rewinds/);
+});